@@ -0,0 +1,110 @@
+/* ageGate.js — age confirmation before any reel plays
+   APP_CONFIG:
+     ageGate            true shows #age-gate (markup + data-translate keys live in index.html)
+     ageGateTtlHours    how long a confirmation is kept (default 24)
+     ageGateDeclineUrl  neutral page for "No" (default safePageUrl, then about:blank)
+   Confirmation sets window.__AGE_CONFIRMED__ and fires "xh:age-confirmed"; reels.js and
+   the timed exits wait for it through whenAgeConfirmed(), while isAgeBlocked() keeps
+   clicks, keys and the micro handoff from exiting or swiping behind the open gate.
+   While the gate is open the page behind it is inert and focus is held inside the dialog;
+   other overlays (data-xh-overlay, e.g. the consent banner) stay reachable.
+*/
+
+import { replaceTo, storeItem } from "./exits.js";
+import { report, OVERLAY_ATTR } from "./diagnostics.js";
+
+export const AGE_EVENT = "xh:age-confirmed";
+
+const STORAGE_KEY = "__age";
+const GATE_ID = "age-gate";
+const DEFAULT_TTL_HOURS = 24;
+
+export const isAgeGateOn = (cfg) => cfg?.ageGate === true;
+export const isAgeConfirmed = () => window.__AGE_CONFIRMED__ === true;
+// gate on and not answered yet: no exit, no swipe, no playback
+export const isAgeBlocked = (cfg) => isAgeGateOn(cfg) && !isAgeConfirmed();
+
+// fn now if confirmed (or the gate is off), otherwise once the visitor confirms
+export const whenAgeConfirmed = (cfg, fn) => {
+  if (!isAgeGateOn(cfg) || isAgeConfirmed()) { fn(); return; }
+  window.addEventListener(AGE_EVENT, () => fn(), { once: true });
+};
+
+// ---------------------------
+// Storage
+// ---------------------------
+const ttlMs = (cfg) => (Number(cfg?.ageGateTtlHours) > 0 ? Number(cfg.ageGateTtlHours) : DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+
+const readStored = (cfg) => {
+  try {
+    const v = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+    return !!(v && v.state === "confirmed" && Date.now() - v.at < ttlMs(cfg));
+  } catch { return false; }
+};
+
+const store = () => storeItem("localStorage", STORAGE_KEY, JSON.stringify({ state: "confirmed", at: Date.now() }));
+
+// ---------------------------
+// Answers
+// ---------------------------
+const confirmAge = (via) => {
+  if (isAgeConfirmed()) return;
+  window.__AGE_CONFIRMED__ = true;
+  if (via) report({ level: "info", source: "ageGate", code: "AGE_CONFIRMED", message: `Age confirmed (${via}).` });
+  window.dispatchEvent(new CustomEvent(AGE_EVENT));
+};
+
+const decline = (cfg) => {
+  const target = new URL(cfg.ageGateDeclineUrl || cfg.safePageUrl || "about:blank", window.location.href).toString();
+  report({ level: "info", source: "ageGate", code: "AGE_DECLINED", message: `Age not confirmed; leaving for ${target}.` });
+  replaceTo(target);
+};
+
+// ---------------------------
+// Modal: the page behind the gate is out of reach for keyboard and screen readers
+// ---------------------------
+const background = (gate) => [...document.body.children]
+  .filter(el => el !== gate && el.tagName !== "SCRIPT" && !el.hasAttribute(OVERLAY_ATTR));
+
+const setInert = (els, on) => els.forEach(el => {
+  if (on) el.setAttribute("inert", "");
+  else el.removeAttribute("inert");
+});
+
+// ---------------------------
+// Init (once per page, from common.js boot)
+// ---------------------------
+export const initAgeGate = (cfg) => {
+  if (!isAgeGateOn(cfg)) { confirmAge(""); return; }
+  if (readStored(cfg)) { confirmAge("stored"); return; }
+
+  const gate = document.getElementById(GATE_ID);
+  if (!gate) {
+    // fail closed: no gate markup means no playback
+    report({ level: "error", source: "ageGate", code: "AGE_GATE_MISSING", message: `ageGate is on but #${GATE_ID} is not in the page; reels stay paused.` });
+    return;
+  }
+
+  const confirm = gate.querySelector("[data-age=confirm]");
+  const behind = background(gate);
+
+  // browsers without inert: focus that leaves the dialog is sent back to it, unless it went to
+  // another overlay shown alongside (the consent banner), which must stay reachable
+  const holdFocus = (e) => {
+    if (!gate.contains(e.target) && !e.target?.closest?.(`[${OVERLAY_ATTR}]`)) confirm?.focus();
+  };
+
+  confirm?.addEventListener("click", () => {
+    store();
+    gate.hidden = true;
+    setInert(behind, false);
+    document.removeEventListener("focusin", holdFocus);
+    confirmAge("gate");
+  });
+  gate.querySelector("[data-age=decline]")?.addEventListener("click", () => decline(cfg));
+
+  setInert(behind, true);
+  document.addEventListener("focusin", holdFocus);
+  gate.hidden = false;
+  try { confirm?.focus(); } catch {}
+};
@@ -0,0 +1,30 @@
+/* backRedirect.js — back.html entry
+   back.html?url=…          -> configured exit URL (+ landing params it doesn't set itself)
+   back.html?z=…&domain=…   -> https://<APP_CONFIG.domain>/afu.php?zoneid=…
+   Anything outside the allowlist (see redirectGuard.js) goes to safePageUrl.
+*/
+
+import { normalizeConfig, replaceTo } from "./exits.js";
+import { report } from "./diagnostics.js";
+import { buildAllowlist, loadAllowlist, resolveBackTarget, DEFAULT_SAFE_PAGE } from "./redirectGuard.js";
+
+export const runBackRedirect = () => {
+  const allowlist = window.APP_CONFIG ? buildAllowlist(normalizeConfig(window.APP_CONFIG)) : loadAllowlist();
+  const res = resolveBackTarget(window.location.href, allowlist);
+
+  if (res.url) {
+    replaceTo(res.url);
+    return res.url;
+  }
+
+  const safe = new URL(allowlist?.safePageUrl || DEFAULT_SAFE_PAGE, window.location.href).toString();
+  report({
+    level: "warn", source: "back", code: res.rejected.code,
+    message: `${res.rejected.message} Redirecting to ${safe}.`,
+    context: { target: res.rejected.target },
+  });
+  replaceTo(safe);
+  return safe;
+};
+
+runBackRedirect();
@@ -0,0 +1,69 @@
+/* capping.js — frequency caps per exit, across visits
+   APP_CONFIG (per exit: mainExit, tabUnderClick, ageExit, autoexit, reverse, push):
+     <exit>_capCount   how many times the exit may run in the window (unset / 0 = no cap)
+     <exit>_capHours   window length in hours (default 24)
+   Every run is a timestamp in localStorage "__caps" ({ exit: [ms, ...] }); timestamps older
+   than the window are dropped on read. Over the cap the exit does nothing: no tab, no
+   redirect, no back queue; the reels keep playing.
+*/
+
+import { report } from "./diagnostics.js";
+import { pageState } from "./page.js";
+
+const STORAGE_KEY = "__caps";
+const DEFAULT_HOURS = 24;
+
+// { count, ms } or null when the exit is not capped
+export const getCap = (cfg, name) => {
+  const count = parseInt(cfg?.[name]?.capCount, 10);
+  if (!(count > 0)) return null;
+  const hours = Number(cfg[name].capHours) > 0 ? Number(cfg[name].capHours) : DEFAULT_HOURS;
+  return { count, ms: hours * 60 * 60 * 1000 };
+};
+
+// ---------------------------
+// Storage
+// ---------------------------
+const readAll = () => {
+  try {
+    const v = JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}");
+    return v && typeof v === "object" && !Array.isArray(v) ? v : {};
+  } catch { return {}; }
+};
+
+const writeAll = (all) => {
+  try { localStorage.setItem(STORAGE_KEY, JSON.stringify(all)); } catch {}
+};
+
+// runs of `name` still inside its window
+const recent = (all, name, ms) => {
+  const now = Date.now();
+  return (Array.isArray(all[name]) ? all[name] : []).filter(t => typeof t === "number" && now - t < ms);
+};
+
+// ---------------------------
+// API
+// ---------------------------
+// true when `name` has used up its cap (and reports it the first time per page)
+export const isCapped = (cfg, name) => {
+  const cap = getCap(cfg, name);
+  if (!cap) return false;
+  const runs = recent(readAll(), name, cap.ms);
+  if (runs.length < cap.count) return false;
+
+  const seen = pageState("capping", () => new Set()); // exit names reported
+  if (!seen.has(name)) {
+    seen.add(name);
+    const next = new Date(Math.min(...runs) + cap.ms).toISOString();
+    report({ level: "info", source: "capping", code: "EXIT_CAPPED", key: name, message: `${name} ran ${runs.length}/${cap.count} times in its window; skipped until ${next}.` });
+  }
+  return true;
+};
+
+export const recordExit = (cfg, name) => {
+  const cap = getCap(cfg, name);
+  if (!cap) return;
+  const all = readAll();
+  all[name] = [...recent(all, name, cap.ms), Date.now()];
+  writeAll(all);
+};
@@ -0,0 +1,40 @@
+/* compliance.js — APP_CONFIG.complianceMode
+   For traffic sources / browser policies that forbid back-button interception and timed redirects:
+   - no back queue, reverse or autoexit, no inline back trap
+   - exits only from an explicit click on a visible control
+   Every suppressed behaviour is reported once through diagnostics.
+*/
+
+import { report } from "./diagnostics.js";
+import { pageState } from "./page.js";
+
+export const CONTROL_SELECTOR = "[data-target], button, a[href], [role='button']";
+
+export const isCompliance = (cfg) => cfg?.complianceMode === true;
+
+// true when `code` is suppressed for this cfg (and reports it the first time per page)
+export const suppress = (cfg, code, message) => {
+  if (!isCompliance(cfg)) return false;
+  const seen = pageState("compliance", () => new Set()); // codes reported
+  if (!seen.has(code)) {
+    seen.add(code);
+    report({ level: "info", source: "compliance", code, message });
+  }
+  return true;
+};
+
+// no layout needed: hidden attribute / display / visibility / opacity up the tree
+export const isVisibleControl = (el) => {
+  for (let n = el; n && n.nodeType === 1; n = n.parentElement) {
+    if (n.hidden) return false;
+    const st = window.getComputedStyle?.(n);
+    if (st && (st.display === "none" || st.visibility === "hidden" || st.opacity === "0")) return false;
+  }
+  return !!el;
+};
+
+// the control an exit may run from, or null when the click was implicit
+export const explicitControl = (e) => {
+  const el = e?.target?.closest?.(CONTROL_SELECTOR) || null;
+  return el && isVisibleControl(el) ? el : null;
+};
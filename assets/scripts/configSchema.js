@@ -0,0 +1,236 @@
+/* configSchema.js — declarative APP_CONFIG schema + validator
+   - every known exit with the tabs it honours and its own settings
+   - top-level (non-exit) keys
+   - validateConfig() -> { errors: [], warnings: [] } of { code, key, message }
+   Unknown keys are reported instead of being silently dropped by normalizeConfig.
+*/
+
+// ---------------------------
+// Schema
+// ---------------------------
+export const TABS = ["currentTab", "newTab"];
+export const FIELDS = ["zoneId", "url"];
+
+// frequency caps (capping.js) for the exits a visitor can trigger repeatedly
+const CAP_SETTINGS = { capCount: "count", capHours: "hours" };
+// landing param -> exit URL param rules, on top of APP_CONFIG.paramMapping
+const MAPPING_SETTINGS = { paramMapping: "paramMapping" };
+
+// icons playerControls.js can take over from the micro handoff
+export const PLAYER_CONTROL_TARGETS = ["play_pause", "mute_unmute", "fullscreen", "share"];
+
+// tabs: which tabs the engine actually uses for this exit
+// shortTab: where the short form (name_zoneId / name_url) lands
+// settings: name_<setting> keys
+export const EXIT_SCHEMA = {
+  mainExit:      { tabs: ["currentTab", "newTab"], shortTab: "currentTab", settings: { ...CAP_SETTINGS, ...MAPPING_SETTINGS } },
+  tabUnderClick: { tabs: ["currentTab", "newTab"], shortTab: "newTab",     settings: { ...CAP_SETTINGS, ...MAPPING_SETTINGS } },
+  ageExit:       { tabs: ["currentTab", "newTab"], shortTab: "currentTab", settings: { ...CAP_SETTINGS, ...MAPPING_SETTINGS } },
+  autoexit:      { tabs: ["currentTab"],           shortTab: "currentTab", settings: { timeToRedirect: "seconds", ...CAP_SETTINGS, ...MAPPING_SETTINGS } },
+  reverse:       { tabs: ["currentTab"],           shortTab: "currentTab", settings: { ...CAP_SETTINGS, ...MAPPING_SETTINGS } },
+  back:          { tabs: ["currentTab"],           shortTab: "currentTab", settings: { count: "count", pageUrl: "url", ...MAPPING_SETTINGS } },
+  push:          { tabs: ["currentTab"],           shortTab: "currentTab", settings: { ...CAP_SETTINGS, ...MAPPING_SETTINGS } },
+};
+
+// settings any exit key may carry (the normalizer accepts them on every exit)
+export const EXIT_SETTINGS = ["count", "timeToRedirect", "pageUrl", "capCount", "capHours", "paramMapping"];
+
+// passthrough: false -> not copied onto the normalized cfg (domain is set on its own,
+// clickMapMode / abtest are read from APP_CONFIG directly)
+export const TOP_LEVEL_SCHEMA = {
+  domain:            { type: "host", required: true, passthrough: false },
+  clickMapMode:      { type: "string", passthrough: false },
+  abtest:            { type: "scalar", passthrough: false },
+  videoCount:        { type: "count" },
+  prizeName:         { type: "string" },
+  prizeImg:          { type: "url" },
+  complianceMode:    { type: "boolean" },
+  consent:           { type: "string", values: ["off", "banner", "cmp"] },
+  safePageUrl:       { type: "url" },
+  ageGate:           { type: "boolean" },
+  ageGateTtlHours:   { type: "hours" },
+  ageGateDeclineUrl: { type: "url" },
+  defaultOffer:      { type: "scalar" },
+  eventsEndpoint:    { type: "url" },
+  paramMapping:      { type: "paramMapping" },
+  playerControls:    { type: "controls" },
+};
+
+// keys normalizeConfig copies as they are
+export const PASSTHROUGH_KEYS = Object.keys(TOP_LEVEL_SCHEMA).filter(k => TOP_LEVEL_SCHEMA[k].passthrough !== false);
+
+// ---------------------------
+// Key helpers
+// ---------------------------
+export const knownKeys = () => {
+  const keys = Object.keys(TOP_LEVEL_SCHEMA);
+  Object.entries(EXIT_SCHEMA).forEach(([name, ex]) => {
+    ex.tabs.forEach(tab => FIELDS.forEach(f => keys.push(`${name}_${tab}_${f}`)));
+    FIELDS.forEach(f => keys.push(`${name}_${f}`));
+    Object.keys(ex.settings).forEach(s => keys.push(`${name}_${s}`));
+  });
+  return keys;
+};
+
+const distance = (a, b) => {
+  a = a.toLowerCase(); b = b.toLowerCase();
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = tmp;
+    }
+  }
+  return row[b.length];
+};
+
+const suggest = (key, candidates) => {
+  let best = "", bestD = Infinity;
+  candidates.forEach(c => {
+    const d = distance(key, c);
+    if (d < bestD) { best = c; bestD = d; }
+  });
+  return bestD <= Math.max(2, Math.floor(key.length / 6)) ? best : "";
+};
+
+// ---------------------------
+// Value checks
+// ---------------------------
+const isInt = (v) => /^\d+$/.test(String(v).trim());
+const isUrl = (v) => { try { new URL(String(v), "https://x.invalid"); return String(v).trim() !== ""; } catch { return false; } };
+const isAbsUrl = (v) => { try { return /^https?:$/.test(new URL(String(v)).protocol); } catch { return false; } };
+const isHost = (v) => isAbsUrl(v) || /^[a-z0-9.-]+\.[a-z]{2,}(:\d+)?\/?$/i.test(String(v).trim());
+
+const isParamList = (v) => (typeof v === "string" && v !== "") ||
+  (Array.isArray(v) && v.length > 0 && v.every(p => typeof p === "string" && p !== ""));
+
+const checkMapping = (rules) => {
+  if (!Array.isArray(rules)) return "expected a list of { from, to, joinWith?, pick? } rules";
+  for (const [i, r] of rules.entries()) {
+    if (!r || typeof r !== "object" || !isParamList(r.from) || !isParamList(r.to)) return `rule ${i}: expected { from, to, joinWith?, pick? } with param names`;
+    if (r.joinWith != null && typeof r.joinWith !== "string") return `rule ${i}: joinWith must be a string`;
+    if (r.pick != null && r.pick !== "first") return `rule ${i}: pick must be "first"`;
+    if ([].concat(r.to).includes("zoneid")) return `rule ${i}: zoneid cannot be mapped`;
+  }
+  return "";
+};
+
+const checkValue = (type, v) => {
+  switch (type) {
+    case "host":    return isHost(v) ? "" : "expected a domain or https:// origin";
+    case "url":     return isUrl(v) ? "" : "expected a URL";
+    case "absUrl":  return isAbsUrl(v) ? "" : "expected an absolute http(s) URL";
+    case "zoneId":  return isInt(v) ? "" : "expected a numeric zone id";
+    case "count":   return isInt(v) ? "" : "expected a non-negative integer";
+    case "seconds": return (Number(v) > 0) ? "" : "expected a positive number of seconds";
+    case "hours":   return (Number(v) > 0) ? "" : "expected a positive number of hours";
+    case "string":  return typeof v === "string" ? "" : "expected a string";
+    case "boolean": return typeof v === "boolean" ? "" : "expected true or false";
+    case "scalar":  return (typeof v === "string" || typeof v === "number") ? "" : "expected a string or number";
+    case "object":  return (v && typeof v === "object" && !Array.isArray(v)) ? "" : "expected an object";
+    case "array":   return Array.isArray(v) ? "" : "expected an array";
+    case "paramMapping": return checkMapping(v);
+    case "controls": return typeof v === "boolean" || (Array.isArray(v) && v.every(t => PLAYER_CONTROL_TARGETS.includes(t)))
+      ? "" : `expected true / false or a list of ${PLAYER_CONTROL_TARGETS.join(" / ")}`;
+    default:        return "";
+  }
+};
+
+// ---------------------------
+// Validator
+// ---------------------------
+export const validateConfig = (appCfg) => {
+  const errors = [];
+  const warnings = [];
+  const error = (code, key, message) => errors.push({ code, key, message });
+  const warn  = (code, key, message) => warnings.push({ code, key, message });
+
+  if (typeof appCfg === "undefined") {
+    error("CONFIG_MISSING", "", "APP_CONFIG is not defined. Add the config object from your Propush account to the <head>.");
+    return { errors, warnings };
+  }
+  if (!appCfg || typeof appCfg !== "object" || Array.isArray(appCfg)) {
+    error("CONFIG_INVALID", "", "APP_CONFIG must be an object.");
+    return { errors, warnings };
+  }
+
+  const all = knownKeys();
+  const exitNames = Object.keys(EXIT_SCHEMA);
+  const seen = {}; // name -> { tab: [field] }
+  const mark = (name, tab, field) => ((seen[name] ||= {})[tab] ||= []).push(field);
+
+  Object.entries(appCfg).forEach(([k, v]) => {
+    const top = TOP_LEVEL_SCHEMA[k];
+    if (top) {
+      if (v == null || v === "") return;
+      const problem = checkValue(top.type, v) ||
+        (top.values && !top.values.includes(v) ? `expected one of ${top.values.join(" / ")}` : "");
+      if (problem) error("VALUE_INVALID", k, `${k}: ${problem}, got ${JSON.stringify(v)}.`);
+      return;
+    }
+
+    if (v == null || v === "") { warn("VALUE_EMPTY", k, `${k} is empty and will be ignored.`); return; }
+
+    let m = k.match(/^([a-zA-Z0-9]+)_(currentTab|newTab)_(zoneId|url)$/);
+    let name, tab, field, setting;
+    if (m) [, name, tab, field] = m;
+    else if ((m = k.match(/^([a-zA-Z0-9]+)_(zoneId|url)$/))) [, name, field] = m;
+    else if ((m = k.match(/^([a-zA-Z0-9]+)_([a-zA-Z]+)$/)) && EXIT_SETTINGS.includes(m[2])) [, name, setting] = m;
+
+    if (!name) {
+      const hint = suggest(k, all);
+      if (hint) error("KEY_TYPO", k, `Unknown key ${k} — did you mean ${hint}? It is ignored as written.`);
+      else warn("KEY_UNKNOWN", k, `Unknown key ${k} is ignored.`);
+      return;
+    }
+
+    const ex = EXIT_SCHEMA[name];
+    if (!ex) {
+      const hint = suggest(name, exitNames);
+      if (hint) error("EXIT_TYPO", k, `Unknown exit "${name}" in ${k} — did you mean ${hint}?`);
+      else warn("EXIT_UNKNOWN", k, `Unknown exit "${name}" in ${k}; nothing triggers it.`);
+      return;
+    }
+
+    if (setting) {
+      const type = ex.settings[setting];
+      if (!type) { warn("SETTING_UNUSED", k, `${k} has no effect: ${name} does not use ${setting}.`); return; }
+      const problem = checkValue(type, v);
+      if (problem) error("VALUE_INVALID", k, `${k}: ${problem}, got ${JSON.stringify(v)}.`);
+      return;
+    }
+
+    tab ||= ex.shortTab;
+    if (!ex.tabs.includes(tab)) warn("TAB_UNUSED", k, `${k} has no effect: ${name} only opens in ${ex.tabs.join(" / ")}.`);
+    const problem = checkValue(field === "zoneId" ? "zoneId" : "url", v);
+    if (problem) error("VALUE_INVALID", k, `${k}: ${problem}, got ${JSON.stringify(v)}.`);
+    mark(name, tab, field);
+  });
+
+  Object.entries(TOP_LEVEL_SCHEMA).forEach(([k, def]) => {
+    if (def.required && (appCfg[k] == null || appCfg[k] === "")) {
+      error("KEY_REQUIRED", k, `${k} is required; no exit can be built without it.`);
+    }
+  });
+
+  Object.entries(seen).forEach(([name, tabs]) => {
+    Object.entries(tabs).forEach(([tab, fields]) => {
+      if (fields.includes("zoneId") && fields.includes("url")) {
+        warn("TAB_AMBIGUOUS", `${name}_${tab}`, `${name} ${tab} has both zoneId and url; url wins.`);
+      }
+    });
+  });
+
+  Object.entries(EXIT_SCHEMA).forEach(([name, ex]) => {
+    if (seen[name]) return;
+    Object.keys(ex.settings).forEach(s => {
+      const k = `${name}_${s}`;
+      if (appCfg[k] != null && appCfg[k] !== "") warn("EXIT_NOT_CONFIGURED", k, `${k} is set but ${name} has no zoneId/url, so it never runs.`);
+    });
+  });
+
+  return { errors, warnings };
+};
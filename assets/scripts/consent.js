@@ -0,0 +1,163 @@
+/* consent.js — consent gate for metrics, push SDK and high-entropy client hints
+   APP_CONFIG.consent:
+     "off"    (default) no gate, behaves as granted
+     "banner" built-in local banner, answer kept in localStorage
+     "cmp"    external CMP through an adapter registered before the scripts load:
+              window.LANDING_CONSENT_ADAPTER = { init(update) { ... update("granted" | "denied") } }
+   State is "pending" until the mode is known and the visitor (or the CMP) answers.
+*/
+
+import { report, OVERLAY_ATTR } from "./diagnostics.js";
+import { applyTranslations } from "./i18n.js";
+import { storeItem } from "./exits.js";
+import { captureError } from "./errors.js";
+import { pageState, oncePerPage } from "./page.js";
+
+export const CONSENT_MODES = ["off", "banner", "cmp"];
+
+const STORAGE_KEY = "__consent";
+const TTL_MS = 180 * 24 * 60 * 60 * 1000;
+const BANNER_ID = "xh_consent";
+
+// queue: work held while pending
+const page = () => pageState("consent", () => ({ state: "pending", mode: "off", listeners: [], queue: [] }));
+
+export const getConsent = () => page().state;
+export const hasConsent = () => page().state === "granted";
+
+// cb(state) on every decision; right away if one was already made
+export const onConsent = (cb) => {
+  const p = page();
+  p.listeners.push(cb);
+  if (p.state !== "pending") { try { cb(p.state); } catch {} }
+};
+
+// run fn now with consent, later once granted, never when refused
+export const afterConsent = (fn) => {
+  const p = page();
+  if (p.state === "granted") { try { fn(); } catch {} }
+  else if (p.state === "pending") p.queue.push(fn);
+};
+
+const settle = (next, via) => {
+  const p = page();
+  if ((next !== "granted" && next !== "denied") || next === p.state) return;
+  p.state = next;
+  report({
+    level: "info", source: "consent",
+    code: next === "granted" ? "CONSENT_GRANTED" : "CONSENT_DENIED",
+    message: `Consent ${next} (${via}).`,
+  });
+  const held = p.queue.splice(0);
+  if (next === "granted") held.forEach(fn => { try { fn(); } catch {} });
+  p.listeners.forEach(cb => { try { cb(next); } catch {} });
+};
+
+// ---------------------------
+// Storage (banner mode)
+// ---------------------------
+const readStored = () => {
+  try {
+    const v = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+    if (v && (v.state === "granted" || v.state === "denied") && Date.now() - v.at < TTL_MS) return v.state;
+  } catch {}
+  return "";
+};
+
+const store = (next) => storeItem("localStorage", STORAGE_KEY, JSON.stringify({ state: next, at: Date.now() }));
+
+// ---------------------------
+// Built-in banner
+// ---------------------------
+const showBanner = () => {
+  if (!document.body) {
+    document.addEventListener("DOMContentLoaded", showBanner, { once: true });
+    return;
+  }
+  if (document.getElementById(BANNER_ID)) return;
+
+  const banner = document.createElement("div");
+  banner.id = BANNER_ID;
+  banner.setAttribute(OVERLAY_ATTR, "consent");
+  banner.setAttribute("role", "dialog");
+  banner.setAttribute("aria-live", "polite");
+  banner.style.cssText = [
+    "position:fixed", "left:0", "right:0", "bottom:0", "z-index:2147483640",
+    "display:flex", "flex-wrap:wrap", "align-items:center", "gap:10px", "padding:12px 16px",
+    "background:rgba(20,20,20,.96)", "color:#fff", "font:13px/1.4 -apple-system,Segoe UI,Roboto,Arial,sans-serif",
+  ].join(";");
+
+  const text = document.createElement("p");
+  text.id = `${BANNER_ID}_text`;
+  text.style.cssText = "margin:0;flex:1 1 220px";
+  text.setAttribute("data-translate", "consent_text");
+  text.textContent = "We use cookies and similar technologies to measure visits and offer notifications.";
+  banner.setAttribute("aria-labelledby", text.id);
+
+  const button = (key, label, answer, primary) => {
+    const b = document.createElement("button");
+    b.type = "button";
+    b.setAttribute("data-translate", key);
+    b.setAttribute("data-consent", answer);
+    b.textContent = label;
+    b.style.cssText = [
+      "padding:8px 14px", "border-radius:18px", "font:inherit", "font-weight:600", "cursor:pointer",
+      primary ? "background:#fff;color:#000;border:0" : "background:none;color:#fff;border:1px solid rgba(255,255,255,.5)",
+    ].join(";");
+    b.addEventListener("click", () => {
+      store(answer);
+      banner.remove();
+      settle(answer, "banner");
+    });
+    return b;
+  };
+
+  banner.appendChild(text);
+  banner.appendChild(button("consent_decline", "Decline", "denied", false));
+  banner.appendChild(button("consent_accept", "Accept", "granted", true));
+  document.body.appendChild(banner);
+  // a failed pass leaves the English defaults in place
+  applyTranslations(banner)
+    .catch(error => captureError({ level: "warn", source: "i18n", code: "TRANSLATE_FAILED", error }));
+};
+
+// ---------------------------
+// External CMP
+// ---------------------------
+const initAdapter = (adapter) => {
+  try {
+    adapter.init((next) => settle(next, "cmp"));
+  } catch (e) {
+    report({ level: "error", source: "consent", code: "CONSENT_ADAPTER_FAILED", message: "Consent adapter init() threw.", context: e });
+  }
+};
+
+export const registerConsentAdapter = (adapter) => {
+  window.LANDING_CONSENT_ADAPTER = adapter;
+  if (page().mode === "cmp" && adapter?.init) initAdapter(adapter);
+};
+
+// ---------------------------
+// Init (once per page, from loadConfig)
+// ---------------------------
+export const initConsent = (cfg) => {
+  const p = page();
+  if (!oncePerPage("consent")) return p.state;
+  p.mode = CONSENT_MODES.includes(cfg?.consent) ? cfg.consent : "off";
+
+  if (p.mode === "off") {
+    settle("granted", "consent off");
+  } else if (p.mode === "banner") {
+    const stored = readStored();
+    if (stored) settle(stored, "stored");
+    else showBanner();
+  } else {
+    const adapter = window.LANDING_CONSENT_ADAPTER;
+    if (adapter?.init) initAdapter(adapter);
+    else report({
+      level: "warn", source: "consent", code: "CONSENT_ADAPTER_MISSING",
+      message: "consent is \"cmp\" but window.LANDING_CONSENT_ADAPTER is not set; waiting for registerConsentAdapter().",
+    });
+  }
+  return p.state;
+};
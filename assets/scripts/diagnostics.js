@@ -0,0 +1,121 @@
+/* diagnostics.js — console + on-page diagnostics
+   - report() collects { level, source, code, key, message, context } entries
+   - every entry is logged to the console
+   - with ?__debug=1 the entries are listed in an overlay panel (errors.js captures land here too)
+   - overlays carry data-xh-overlay so the click handlers leave them alone
+*/
+
+import { pageState } from "./page.js";
+
+export const DEBUG_PARAM = "__debug";
+export const OVERLAY_ATTR = "data-xh-overlay";
+
+const PANEL_ID = "xh_diagnostics";
+const LEVELS = { error: "#ff5c5c", warn: "#ffc24d", info: "#8ab4ff" };
+
+// entries of the current page; renderQueued: an overlay render is pending
+const page = () => pageState("diagnostics", () => ({ entries: [], renderQueued: false }));
+
+export const isDebug = () => {
+  try { return new URL(window.location.href).searchParams.get(DEBUG_PARAM) === "1"; } catch { return false; }
+};
+
+// true when the click landed inside one of our overlays (diagnostics, gates, panels)
+export const isOverlayClick = (e) => !!e?.target?.closest?.(`[${OVERLAY_ATTR}]`);
+
+export const getEntries = () => page().entries.slice();
+export const clearEntries = () => { page().entries.length = 0; };
+
+// ---------------------------
+// Console
+// ---------------------------
+const log = (entry) => {
+  try {
+    const fn = entry.level === "error" ? console.error : entry.level === "warn" ? console.warn : console.info;
+    const line = `[landing:${entry.source}] ${entry.code}${entry.key ? ` (${entry.key})` : ""}: ${entry.message}`;
+    if (entry.context !== undefined) fn(line, entry.context);
+    else fn(line);
+  } catch {}
+};
+
+// ---------------------------
+// Overlay
+// ---------------------------
+const el = (tag, css, text) => {
+  const n = document.createElement(tag);
+  if (css) n.style.cssText = css;
+  if (text != null) n.textContent = text;
+  return n;
+};
+
+// errors.js context ({ name, url }, { file, line, col }, ...) under the message
+const contextText = (context) => {
+  if (context === undefined) return "";
+  try { return JSON.stringify(context); } catch { return String(context); }
+};
+
+const render = () => {
+  const { entries } = page();
+  page().renderQueued = false;
+  if (!document.body) {
+    document.addEventListener("DOMContentLoaded", render, { once: true });
+    return;
+  }
+
+  let panel = document.getElementById(PANEL_ID);
+  if (!panel) {
+    panel = el("div", [
+      "position:fixed", "left:8px", "right:8px", "bottom:8px", "max-height:45vh", "overflow:auto",
+      "z-index:2147483647", "background:rgba(12,12,12,.94)", "color:#eee", "border:1px solid #444",
+      "border-radius:8px", "padding:8px 10px", "font:12px/1.4 ui-monospace,Menlo,Consolas,monospace",
+    ].join(";"));
+    panel.id = PANEL_ID;
+    panel.setAttribute(OVERLAY_ATTR, "diagnostics");
+    document.body.appendChild(panel);
+  }
+
+  const errors = entries.filter(e => e.level === "error").length;
+  const warnings = entries.filter(e => e.level === "warn").length;
+
+  panel.textContent = "";
+  const head = el("div", "display:flex;justify-content:space-between;align-items:center;margin-bottom:6px;font-weight:700");
+  head.appendChild(el("span", "", `Landing diagnostics — ${errors} error(s), ${warnings} warning(s)`));
+  const close = el("button", "background:none;border:1px solid #666;color:#eee;border-radius:4px;cursor:pointer", "×");
+  close.type = "button";
+  close.setAttribute("aria-label", "Close diagnostics");
+  close.addEventListener("click", () => { panel.style.display = "none"; });
+  head.appendChild(close);
+  panel.appendChild(head);
+
+  const list = el("ul", "margin:0;padding:0;list-style:none");
+  entries.forEach(entry => {
+    const li = el("li", "padding:2px 0;border-top:1px solid #2a2a2a");
+    li.appendChild(el("span", `color:${LEVELS[entry.level] || "#eee"};font-weight:700`, `${entry.level.toUpperCase()} `));
+    li.appendChild(el("span", "opacity:.7", `[${entry.source}] ${entry.code}${entry.key ? ` ${entry.key}` : ""} — `));
+    li.appendChild(el("span", "", entry.message));
+    const context = contextText(entry.context);
+    if (context) li.appendChild(el("div", "opacity:.6;margin-left:12px;word-break:break-all", context));
+    list.appendChild(li);
+  });
+  panel.appendChild(list);
+};
+
+// ---------------------------
+// API
+// ---------------------------
+export const report = ({ level = "warn", source = "landing", code = "UNKNOWN", key = "", message = "", context } = {}) => {
+  const entry = { level, source, code, key, message, context, time: Date.now() };
+  const p = page();
+  p.entries.push(entry);
+  log(entry);
+  if (isDebug() && !p.renderQueued) {
+    p.renderQueued = true;
+    Promise.resolve().then(render);
+  }
+  return entry;
+};
+
+export const reportConfigResult = ({ errors = [], warnings = [] } = {}) => {
+  errors.forEach(e => report({ level: "error", source: "config", ...e }));
+  warnings.forEach(w => report({ level: "warn", source: "config", ...w }));
+};
@@ -0,0 +1,180 @@
+/* dryRun.js — preview exits without navigating (?__dryrun=1)
+   - swaps the exit engine's navigation for a recorder: no replace / open / back queue
+   - lists every configured exit with its resolved currentTab/newTab URL and decoded params
+   - logs each would-be navigation, syncMetric event and event beacon in an on-page panel
+   - nothing persists: exits are not counted against their caps (capping.js); history writes,
+     age gate / consent answers and the back.html allowlist are only logged; the micro handoff's
+     "done" flag lives in memory, so the next real visit is unaffected
+*/
+
+import { getSP, setNavigation, resolveUrlFast, buildBackUrl, getParamMapping } from "./exits.js";
+import { OVERLAY_ATTR } from "./diagnostics.js";
+import { setEventTransport } from "./events.js";
+import { pageState, oncePerPage } from "./page.js";
+
+export const DRY_RUN_PARAM = "__dryrun";
+export const isDryRun = () => getSP(DRY_RUN_PARAM) === "1";
+
+const PANEL_ID = "xh_dryrun";
+const TABS = ["currentTab", "newTab"];
+// what changes a real run besides the URLs; paramMapping is listed as applied (global + own rules)
+const SETTINGS = ["count", "timeToRedirect", "pageUrl", "capCount", "capHours"];
+
+// would-be navigation of the current page
+const pageLog = () => pageState("dryRunLog", () => []);
+
+// ---------------------------
+// Decoding
+// ---------------------------
+const decodeCmeta = (v) => { try { return JSON.stringify(JSON.parse(atob(v))); } catch { return v; } };
+
+export const describeUrl = (url) => {
+  try {
+    const u = new URL(url);
+    const params = [...u.searchParams.entries()].map(([k, v]) => [k, k === "cmeta" ? decodeCmeta(v) : v]);
+    return { base: `${u.origin}${u.pathname}`, params };
+  } catch {
+    return { base: String(url || ""), params: [] };
+  }
+};
+
+export const describeExits = (cfg) => Object.entries(cfg || {})
+  .filter(([, ex]) => ex && typeof ex === "object" && TABS.some(t => ex[t]))
+  .map(([name, ex]) => ({
+    name,
+    tabs: TABS.filter(t => ex[t]).map(tab => {
+      const url = name === "back" && tab === "currentTab" ? buildBackUrl(cfg) : resolveUrlFast(ex[tab], cfg, name);
+      return { tab, source: ex[tab].url ? "url" : `zone ${ex[tab].zoneId}`, url, ...describeUrl(url) };
+    }),
+    settings: [
+      ...SETTINGS.filter(s => ex[s] != null).map(s => [s, ex[s]]),
+      ...(getParamMapping(cfg, name).length ? [["paramMapping", JSON.stringify(getParamMapping(cfg, name))]] : []),
+    ],
+  }));
+
+// ---------------------------
+// Panel
+// ---------------------------
+const el = (tag, css, text) => {
+  const n = document.createElement(tag);
+  if (css) n.style.cssText = css;
+  if (text != null) n.textContent = text;
+  return n;
+};
+
+const paramsTable = (params) => {
+  const table = el("table", "border-collapse:collapse;margin:2px 0 6px 12px");
+  params.forEach(([k, v]) => {
+    const tr = el("tr");
+    tr.appendChild(el("td", "padding:0 8px 0 0;opacity:.7;vertical-align:top", k));
+    tr.appendChild(el("td", "word-break:break-all", v));
+    table.appendChild(tr);
+  });
+  return table;
+};
+
+const renderLog = () => {
+  const list = document.getElementById(`${PANEL_ID}_log`);
+  if (!list) return;
+  const log = pageLog();
+  list.textContent = "";
+  if (!log.length) list.appendChild(el("li", "opacity:.6", "No navigation yet — click around."));
+  log.forEach(entry => {
+    const li = el("li", "padding:2px 0;border-top:1px solid #2a2a2a;word-break:break-all");
+    li.appendChild(el("span", "color:#8ab4ff;font-weight:700", `${entry.time} ${entry.kind} `));
+    li.appendChild(el("span", "", entry.detail));
+    list.appendChild(li);
+  });
+};
+
+const render = (cfg) => {
+  if (!document.body) {
+    document.addEventListener("DOMContentLoaded", () => render(cfg), { once: true });
+    return;
+  }
+
+  const panel = el("div", [
+    "position:fixed", "left:8px", "right:8px", "top:8px", "max-height:50vh", "overflow:auto",
+    "z-index:2147483646", "background:rgba(12,12,12,.94)", "color:#eee", "border:1px solid #444",
+    "border-radius:8px", "padding:8px 10px", "font:12px/1.4 ui-monospace,Menlo,Consolas,monospace",
+  ].join(";"));
+  panel.id = PANEL_ID;
+  panel.setAttribute(OVERLAY_ATTR, "dryrun");
+
+  const head = el("div", "display:flex;justify-content:space-between;align-items:center;font-weight:700");
+  head.appendChild(el("span", "", "Dry run — navigation disabled"));
+  const toggle = el("button", "background:none;border:1px solid #666;color:#eee;border-radius:4px;cursor:pointer", "–");
+  toggle.type = "button";
+  toggle.setAttribute("aria-label", "Collapse dry run panel");
+  head.appendChild(toggle);
+  panel.appendChild(head);
+
+  const body = el("div");
+  toggle.addEventListener("click", () => {
+    const hidden = body.style.display === "none";
+    body.style.display = hidden ? "" : "none";
+    toggle.textContent = hidden ? "–" : "+";
+  });
+
+  body.appendChild(el("div", "margin-top:6px;font-weight:700", "Exits"));
+  const exits = describeExits(cfg);
+  if (!exits.length) body.appendChild(el("div", "opacity:.6", "No exits configured."));
+  exits.forEach(ex => {
+    const details = el("details", "margin:2px 0");
+    const settings = ex.settings.map(([k, v]) => `${k}=${v}`).join(", ");
+    details.appendChild(el("summary", "cursor:pointer", `${ex.name}${settings ? ` (${settings})` : ""}`));
+    ex.tabs.forEach(t => {
+      details.appendChild(el("div", "margin-left:12px;word-break:break-all",
+        `${t.tab} [${t.source}] → ${t.base || "(unresolved)"}`));
+      details.appendChild(paramsTable(t.params));
+    });
+    body.appendChild(details);
+  });
+
+  body.appendChild(el("div", "margin-top:6px;font-weight:700", "Would-be navigation"));
+  const list = el("ul", "margin:0;padding:0;list-style:none");
+  list.id = `${PANEL_ID}_log`;
+  body.appendChild(list);
+
+  panel.appendChild(body);
+  document.body.appendChild(panel);
+  renderLog();
+};
+
+// ---------------------------
+// API
+// ---------------------------
+const record = (kind, detail) => {
+  const time = new Date().toISOString().slice(11, 19);
+  pageLog().push({ time, kind, detail });
+  try { console.info(`[dry-run] ${kind}`, detail); } catch {}
+  renderLog();
+};
+
+export const getDryRunLog = () => pageLog().slice();
+
+// Recorder only, no panel: reels.js arms it before its back trap, ahead of common.js boot.
+export const armDryRun = () => {
+  if (!isDryRun()) return false;
+  if (!oncePerPage("dryRun")) return true;
+
+  setNavigation({
+    replace: (url) => record("replace", url),
+    open: (url) => { record("open", url); return {}; },
+    pushState: (state, title, url) => record("pushState", String(url)),
+    metric: (payload) => record("metric", JSON.stringify(payload)),
+    // a preview must not use up a real visitor's caps or answer for them
+    countExit: () => {},
+    store: (area, key, value) => record("store", `${area} ${key}=${value}`),
+  });
+  setEventTransport((url, body) => { record("beacon", `${url} ${body}`); return true; });
+  return true;
+};
+
+// Returns true when the preview is active; safe to call from every entry script.
+export const initDryRun = (cfg) => {
+  if (!armDryRun()) return false;
+  if (!oncePerPage("dryRunPanel")) return true;
+  render(cfg);
+  return true;
+};
@@ -0,0 +1,87 @@
+/* errors.js — structured error capture for the landing scripts
+   - captureError({ code, source, error, context, level }) builds one entry and
+     · lists it in diagnostics (console; ?__debug=1 overlay)
+     · queues it as a js_error event (events.js)
+     · hands it to the reporter: setErrorReporter(fn), default window.onLandingError(entry)
+   - initErrors(): window error / unhandledrejection -> JS_ERROR / UNHANDLED_REJECTION
+   Codes raised by the other modules:
+     <validateConfig>   exits.js loadConfig: every config error (CONFIG_MISSING, VALUE_INVALID, ...), key set
+     POPUP_BLOCKED      exits.js openTab: window.open returned nothing (or threw)
+     EXIT_UNRESOLVED    exits.js: an exit tab is configured but no URL resolves from it
+     URL_INVALID        exits.js: a direct exit url could not be parsed
+     BACK_PUSH_FAILED   exits.js: the back queue pushState threw
+     SAFE_CALL_FAILED   exits.js safe(): the guarded call threw (the caller may name a code)
+   At most MAX_CAPTURED errors per page, so a failing loop cannot flood the pipeline.
+*/
+
+import { report } from "./diagnostics.js";
+import { track } from "./events.js";
+import { pageState, oncePerPage } from "./page.js";
+
+export const MAX_CAPTURED = 50;
+
+// ---------------------------
+// Reporter (swappable: error trackers, tests)
+// ---------------------------
+const reportDefault = (entry) => window.onLandingError?.(entry);
+
+let reporter = reportDefault;
+
+// no argument restores window.onLandingError
+export const setErrorReporter = (fn) => { reporter = typeof fn === "function" ? fn : reportDefault; };
+
+// ---------------------------
+// Capture
+// ---------------------------
+const messageOf = (error) => String(error?.message || error || "error");
+
+export const captureError = ({ code = "UNKNOWN_ERROR", source = "landing", level = "error", key = "", error, message, context } = {}) => {
+  if (typeof document === "undefined") return null;
+  const page = pageState("errors", () => ({ captured: 0 }));
+  if (++page.captured > MAX_CAPTURED) return null;
+
+  const entry = {
+    code,
+    source,
+    level,
+    key,
+    message: message || messageOf(error),
+    stack: error?.stack ? String(error.stack) : "",
+    context,
+    url: window.location.href,
+    time: Date.now(),
+  };
+
+  report({ level, source, code, key, message: entry.message, context });
+  track("js_error", {
+    code,
+    message: entry.message,
+    source: context?.file ?? source,
+    line: context?.line || 0,
+    col: context?.col || 0,
+  });
+  // a throwing reporter must not land back in the window error handler
+  try { reporter(entry); } catch {}
+  return entry;
+};
+
+// ---------------------------
+// Init (once per page, first thing in every entry script)
+// ---------------------------
+export const initErrors = () => {
+  if (!oncePerPage("errors")) return;
+
+  window.addEventListener("error", (e) => captureError({
+    code: "JS_ERROR",
+    source: "window",
+    error: e?.error,
+    message: e?.message,
+    context: { file: e?.filename || "", line: e?.lineno || 0, col: e?.colno || 0 },
+  }));
+  window.addEventListener("unhandledrejection", (e) => captureError({
+    code: "UNHANDLED_REJECTION",
+    source: "window",
+    error: e?.reason,
+    context: { file: "", line: 0, col: 0 },
+  }));
+};
@@ -0,0 +1,107 @@
+/* events.js — built-in event pipeline (replaces relying on an optional window.syncMetric)
+   - track(type, data) queues { type, ts, n, ...data } for the current page
+   - one session id per tab (sessionStorage "__sid"), sent with every batch
+   - batches go out with navigator.sendBeacon (fetch keepalive where missing) to
+     APP_CONFIG.eventsEndpoint when the page is hidden / left, or every BATCH_SIZE events
+   - consent: events wait while pending, are dropped once refused
+   - no endpoint: nothing is sent; the queue is still readable through getEvents() and keeps
+     the latest MAX_QUEUE events
+   Types:
+     page_view    { path, query, clone, lang }           common.js boot
+     stage        { stage, count }                      reels.js, after a swipe
+     exit         { name, currentTab, newTab } | { name, capped: true }   exits.js, common.js
+                  (micro handoff: "clone" in the new tab, "tabUnderClick" in the current one)
+     metric       the syncMetric payload                exits.js / common.js
+     video_error  { code, src }                         videoLoader.js
+     js_error     { code, message, source, line, col }  errors.js (every captured error)
+   scripts/collector.js is a local stand-in endpoint for checking payloads offline.
+*/
+
+import { getConsent } from "./consent.js";
+import { pageState, oncePerPage } from "./page.js";
+
+export const SESSION_KEY = "__sid";
+export const BATCH_SIZE = 20;
+// kept while nothing can be sent (no endpoint, consent pending); the oldest go first
+export const MAX_QUEUE = 5 * BATCH_SIZE;
+export const EVENT_TYPES = ["page_view", "stage", "exit", "metric", "video_error", "js_error"];
+
+// ---------------------------
+// Transport (swappable: dry-run preview, tests)
+// ---------------------------
+const sendDefault = (url, body) => {
+  try {
+    if (navigator.sendBeacon?.(url, body)) return true;
+  } catch {}
+  try {
+    window.fetch?.(url, { method: "POST", body, keepalive: true, headers: { "Content-Type": "text/plain" } })?.catch?.(() => {});
+    return true;
+  } catch { return false; }
+};
+
+let send = sendDefault;
+
+// no argument restores sendBeacon
+export const setEventTransport = (fn) => { send = typeof fn === "function" ? fn : sendDefault; };
+
+// ---------------------------
+// Session + queue (per document)
+// ---------------------------
+const randomId = () => {
+  try { return crypto.randomUUID(); } catch {}
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+};
+
+export const getSessionId = () => {
+  try {
+    let sid = sessionStorage.getItem(SESSION_KEY);
+    if (!sid) { sid = randomId(); sessionStorage.setItem(SESSION_KEY, sid); }
+    return sid;
+  } catch { return ""; }
+};
+
+const page = () => pageState("events", () => ({ sid: getSessionId() || randomId(), queue: [], n: 0, endpoint: "" }));
+
+export const getEvents = () => page().queue.slice();
+
+// ---------------------------
+// API
+// ---------------------------
+export const flush = () => {
+  const p = page();
+  const consent = getConsent();
+  if (consent === "denied") { p.queue.length = 0; return false; }
+  if (consent !== "granted" || !p.endpoint || !p.queue.length) return false;
+
+  const events = p.queue.splice(0);
+  const body = JSON.stringify({ sid: p.sid, sent: Date.now(), page: window.location.pathname, events });
+  return send(p.endpoint, body) !== false;
+};
+
+export const track = (type, data = {}) => {
+  if (typeof document === "undefined") return null;
+  const p = page();
+  const event = { type, ts: Date.now(), n: ++p.n, ...data };
+  p.queue.push(event);
+  if (p.queue.length >= BATCH_SIZE) flush();
+  if (p.queue.length > MAX_QUEUE) p.queue.splice(0, p.queue.length - MAX_QUEUE);
+  return event;
+};
+
+// once per page, from common.js boot and the standalone exit entries
+export const initEvents = (cfg, data = {}) => {
+  const p = page();
+  p.endpoint = cfg?.eventsEndpoint ? new URL(cfg.eventsEndpoint, window.location.href).toString() : "";
+  if (!oncePerPage("events")) return;
+
+  // pagehide is the last reliable moment on mobile; hidden covers tab switches
+  window.addEventListener("pagehide", () => flush());
+  document.addEventListener("visibilitychange", () => { if (document.visibilityState === "hidden") flush(); });
+
+  track("page_view", {
+    path: window.location.pathname,
+    query: window.location.search,
+    lang: document.documentElement.getAttribute("lang") || navigator.language || "",
+    ...data,
+  });
+};
@@ -0,0 +1,495 @@
+/* exits.js — shared exit engine (ES module)
+   One place for:
+     - APP_CONFIG normalization (name_tab_field keys -> { currentTab, newTab, ...settings })
+     - tracking params + afu.php / direct URL builders, with APP_CONFIG param mapping
+     - back queue, reverse, autoexit
+     - exit execution (current tab / dual tabs), frequency-capped per exit (capping.js)
+   Imported by common.js (index.html) and by the standalone entries
+   (mainExit.js, reverse.js, autoexit.js, pushScript.js), so a config resolves
+   to the same URLs everywhere.
+*/
+
+import { EXIT_SETTINGS, PASSTHROUGH_KEYS, validateConfig } from "./configSchema.js";
+import { reportConfigResult } from "./diagnostics.js";
+import { suppress } from "./compliance.js";
+import { initConsent, hasConsent, onConsent, afterConsent } from "./consent.js";
+import { buildAllowlist, ALLOWLIST_KEY, BACK_MAPPED_PARAM } from "./redirectGuard.js";
+import { isCapped, recordExit } from "./capping.js";
+import { track } from "./events.js";
+import { captureError } from "./errors.js";
+
+// ---------------------------
+// Helpers
+// ---------------------------
+// failures still resolve to undefined, but are captured (errors.js) instead of vanishing
+export const safe = (fn, code = "SAFE_CALL_FAILED", context) => {
+  try { return fn(); } catch (error) {
+    captureError({ level: "warn", source: "exits", code, error, context });
+    return undefined;
+  }
+};
+
+// Navigation primitives and the state an exit leaves behind; swappable via setNavigation()
+// (tests, dry-run preview). location.replace can't be stubbed on a real/jsdom window, so it lives here.
+const NAV_DEFAULTS = {
+  replace: (url) => {
+    try { window.location.replace(url); } catch { window.location.href = url; }
+  },
+  open: (url) => window.open(url, "_blank"),
+  pushState: (state, title, url) => window.history.pushState(state, title, url),
+  // built-in pipeline first; a page-defined window.syncMetric still gets every payload
+  metric: (payload) => { track("metric", payload); window.syncMetric?.(payload); },
+  // a run counted against <exit>_capCount (capping.js)
+  countExit: (cfg, name) => recordExit(cfg, name),
+  // answers and snapshots kept for later visits / back.html (area: "localStorage" | "sessionStorage")
+  store: (area, key, value) => window[area].setItem(key, value),
+};
+const nav = { ...NAV_DEFAULTS };
+
+// overrides apply on top of the defaults, replacing any earlier overrides
+export const setNavigation = (overrides = {}) => Object.assign(nav, NAV_DEFAULTS, overrides);
+
+export const replaceTo = (url) => nav.replace(url);
+export const countExit = (cfg, name) => nav.countExit(cfg, name);
+// every history write (back queue, reverse, reels back trap) goes through here
+export const pushHistory = (state, title, url) => nav.pushState(state, title, url);
+export const storeItem = (area, key, value) => { try { nav.store(area, key, value); } catch {} };
+
+// --- Direct open (no about:blank) ---
+// context: what the tab is for ({ name }), attached to POPUP_BLOCKED
+export const openTab = (url, context = {}) => {
+  const blocked = (error) => {
+    captureError({ level: "warn", source: "exits", code: "POPUP_BLOCKED", error, message: "window.open returned no window (popup blocked?).", context: { ...context, url } });
+    return null;
+  };
+  try {
+    const w = nav.open(url);
+    if (!w) return blocked();
+    try { w.opener = null; } catch {}
+    return w;
+  } catch (e) {
+    return blocked(e);
+  }
+};
+
+// metrics wait for consent: held while pending, dropped when refused
+export const syncMetric = (payload) => afterConsent(() => nav.metric(payload));
+
+// ---------------------------
+// URL + params
+// read lazily: the back queue / reverse only ever push the same href back
+// ---------------------------
+export const CLONE_PARAM = "__cl";
+
+export const getSP = (k, def = "") => safe(() => new URL(window.location.href).searchParams.get(k)) ?? def;
+
+export const readLandingParams = () => ({
+  pz: getSP("pz"), tb: getSP("tb"), tb_reverse: getSP("tb_reverse"), ae: getSP("ae"),
+  z: getSP("z"), var: getSP("var"), var_1: getSP("var_1"), var_2: getSP("var_2"), var_3: getSP("var_3"),
+  b: getSP("b"), campaignid: getSP("campaignid"), abtest: getSP("abtest"), rhd: getSP("rhd", "1"),
+  s: getSP("s"), ymid: getSP("ymid"), wua: getSP("wua"),
+  use_full_list_or_browsers: getSP("use_full_list_or_browsers"),
+  cid: getSP("cid"), geo: getSP("geo"),
+
+  // ExoClick conversions_tracking passthrough
+  external_id: getSP("external_id"),
+
+  // Optional passthroughs
+  creative_id: getSP("creative_id"),
+  ad_campaign_id: getSP("ad_campaign_id"),
+  cost: getSP("cost"),
+});
+
+export const qsFromObj = (obj) => {
+  const qs = new URLSearchParams();
+  Object.entries(obj || {}).forEach(([k, v]) => {
+    if (v != null && String(v) !== "") qs.set(k, String(v));
+  });
+  return qs;
+};
+
+const getTimezoneName = () => safe(() => Intl.DateTimeFormat().resolvedOptions().timeZone) || "";
+const getTimezoneOffset = () => safe(() => new Date().getTimezoneOffset()) ?? 0;
+
+const getOsVersion = async () => {
+  try {
+    const nav = navigator;
+    if (!nav.userAgentData?.getHighEntropyValues) return "";
+    const v = await nav.userAgentData.getHighEntropyValues(["platformVersion"]);
+    return v?.platformVersion || "";
+  } catch { return ""; }
+};
+let osVersionCached = "";
+
+// high-entropy hints are only requested once consent is granted
+onConsent((state) => {
+  if (state === "granted") safe(() => getOsVersion().then(v => { osVersionCached = v || ""; }));
+});
+
+const buildCmeta = () => {
+  try {
+    const html = document.documentElement;
+    const payload = {
+      dataVer: html.getAttribute("data-version") || html.dataset.version || "",
+      landingName: html.getAttribute("data-landing-name") || html.dataset.landingName || "",
+      templateHash: window.templateHash || "",
+    };
+    return btoa(JSON.stringify(payload));
+  } catch { return ""; }
+};
+
+// ---------------------------
+// Config
+// ---------------------------
+const SETTING_RE = new RegExp(`^([a-zA-Z0-9]+)_(${EXIT_SETTINGS.join("|")})$`);
+
+export const normalizeConfig = (appCfg) => {
+  if (!appCfg || typeof appCfg !== "object" || !appCfg.domain) return null;
+  const cfg = { domain: appCfg.domain };
+  const ensure = (name) => (cfg[name] ||= {});
+
+  Object.entries(appCfg).forEach(([k, v]) => {
+    if (v == null || v === "" || k === "domain") return;
+
+    if (PASSTHROUGH_KEYS.includes(k)) { cfg[k] = v; return; }
+
+    let m = k.match(/^([a-zA-Z0-9]+)_(currentTab|newTab)_(zoneId|url)$/);
+    if (m) {
+      const [, name, tab, field] = m;
+      const ex = ensure(name);
+      (ex[tab] ||= {}).domain = field === "zoneId" ? cfg.domain : ex[tab].domain;
+      ex[tab][field] = v;
+      return;
+    }
+
+    m = k.match(SETTING_RE);
+    if (m) { ensure(m[1])[m[2]] = v; return; }
+
+    m = k.match(/^([a-zA-Z0-9]+)_(zoneId|url)$/);
+    if (m) {
+      const [, name, field] = m;
+      const ex = ensure(name);
+      const tab = (name === "tabUnderClick") ? "newTab" : "currentTab";
+      (ex[tab] ||= {}).domain = field === "zoneId" ? cfg.domain : ex[tab].domain;
+      ex[tab][field] = v;
+    }
+  });
+
+  return cfg;
+};
+
+// Entry point for every script: same validation + diagnostics + consent gate everywhere.
+// Validation runs once per APP_CONFIG object even when several entries load.
+let validatedCfg;
+let validated = false;
+
+export const loadConfig = () => {
+  const appCfg = window.APP_CONFIG;
+  if (!validated || validatedCfg !== appCfg) {
+    validated = true;
+    validatedCfg = appCfg;
+    const { errors, warnings } = validateConfig(appCfg);
+    // errors reach the reporter / events too: a broken config is the most common failure
+    errors.forEach(({ code, key, message }) => captureError({ source: "config", code, key, message }));
+    reportConfigResult({ warnings });
+  }
+  const cfg = normalizeConfig(appCfg);
+  if (cfg) initConsent(cfg);
+  return cfg;
+};
+
+// ---------------------------
+// Param mapping (APP_CONFIG.paramMapping, <exit>_paramMapping)
+// rule: { from: "s" | ["var_1", "var"], to: "click_id" | ["click_id", "sub1"], joinWith?: "_", pick?: "first" }
+//   from  landing params: all non-empty ones joined with joinWith ("" by default, as the old
+//         passParamToParams did), or with pick: "first" only the first non-empty one
+//   to    params set on the exit URL (zoneid stays the engine's)
+// built-in fields < global rules < exit rules; within a list the later rule wins
+// ---------------------------
+const PROTECTED_PARAMS = ["zoneid"];
+const asList = (v) => (Array.isArray(v) ? v : v == null ? [] : [v]).map(String).filter(Boolean);
+
+export const getParamMapping = (cfg, name) => [
+  ...(Array.isArray(cfg?.paramMapping) ? cfg.paramMapping : []),
+  ...(Array.isArray(cfg?.[name]?.paramMapping) ? cfg[name].paramMapping : []),
+];
+
+// { param: value } the rules produce from the landing params
+export const mapParams = (rules = [], source = safe(() => new URL(window.location.href).searchParams)) => {
+  const out = {};
+  (rules || []).forEach(rule => {
+    const values = asList(rule?.from).map(k => source?.get(k) || "").filter(Boolean);
+    if (!values.length) return;
+    const value = rule.pick === "first" ? values[0] : values.join(typeof rule.joinWith === "string" ? rule.joinWith : "");
+    asList(rule.to).filter(k => !PROTECTED_PARAMS.includes(k)).forEach(k => { out[k] = value; });
+  });
+  return out;
+};
+
+export const applyParamMapping = (qs, rules = [], source) => {
+  Object.entries(mapParams(rules, source)).forEach(([k, v]) => qs.set(k, v));
+  return qs;
+};
+
+// ---------------------------
+// URL Builders
+// ---------------------------
+export const buildExitQSFast = ({ zoneId, mapping = [] } = {}) => {
+  const IN = readLandingParams();
+  const ab2r = IN.abtest || (typeof window.APP_CONFIG?.abtest !== "undefined" ? String(window.APP_CONFIG.abtest) : "");
+  const base = {
+    ymid: IN.var_1 || IN.var || "",
+    var: IN.var_2 || IN.z || "",
+    var_3: IN.var_3 || "",
+
+    b: IN.b || "",
+    campaignid: IN.campaignid || "",
+    click_id: IN.s || "",
+    rhd: IN.rhd || "1",
+
+    // client hints + timezone only with consent; minimal set otherwise
+    ...(hasConsent() ? {
+      os_version: osVersionCached || "",
+      btz: getTimezoneName(),
+      bto: String(getTimezoneOffset()),
+    } : {}),
+
+    cmeta: buildCmeta(),
+    pz: IN.pz || "",
+    tb: IN.tb || "",
+    tb_reverse: IN.tb_reverse || "",
+    ae: IN.ae || "",
+    ab2r,
+
+    // tracking passthrough
+    external_id: IN.external_id || "",
+    creative_id: IN.creative_id || "",
+    ad_campaign_id: IN.ad_campaign_id || "",
+    cost: IN.cost || "",
+  };
+
+  if (zoneId != null && String(zoneId) !== "") base.zoneid = String(zoneId);
+  return applyParamMapping(qsFromObj(base), mapping);
+};
+
+export const generateAfuUrlFast = (zoneId, domain, mapping = []) => {
+  const host = String(domain || "").trim();
+  if (!host) return "";
+  const base = host.startsWith("http") ? host : `https://${host}`;
+  const url = new URL(base.replace(/\/+$/, "") + "/afu.php");
+  url.search = buildExitQSFast({ zoneId, mapping }).toString();
+  return url.toString();
+};
+
+// ---------------------------
+// Direct URL builder (tabUnderClick_url / any ex.url)
+// - inject tracking params
+// - pass-through original landing params if missing (safe merge)
+// - param mapping last: it wins over both
+// ---------------------------
+export const buildDirectUrlWithTracking = (baseUrl, mapping = []) => {
+  try {
+    const u = new URL(String(baseUrl), window.location.href);
+    const IN = readLandingParams();
+
+    // 1) pass-through everything from landing (only if missing on target)
+    for (const [k, v] of new URL(window.location.href).searchParams.entries()) {
+      if (!u.searchParams.has(k) && v != null && String(v) !== "") u.searchParams.set(k, v);
+    }
+
+    // 2) enforce key tracking fields (priority)
+    const external_id = IN.external_id || "";
+    const ad_campaign_id = IN.ad_campaign_id || IN.var_2 || "";
+    const creative_id = IN.creative_id || "";
+    const cost = IN.cost || IN.b || "";
+
+    if (cost) u.searchParams.set("cost", cost);
+    if (!u.searchParams.has("currency")) u.searchParams.set("currency", "usd");
+
+    if (external_id) u.searchParams.set("external_id", external_id);
+    if (creative_id) u.searchParams.set("creative_id", creative_id);
+    if (ad_campaign_id) u.searchParams.set("ad_campaign_id", ad_campaign_id);
+
+    applyParamMapping(u.searchParams, mapping);
+    return u.toString();
+  } catch (error) {
+    captureError({ source: "exits", code: "URL_INVALID", error, context: { url: String(baseUrl || "") } });
+    return String(baseUrl || "");
+  }
+};
+
+// name: the exit `ex` belongs to, for its paramMapping
+export const resolveUrlFast = (ex, cfg, name) => {
+  if (!ex) return "";
+  const mapping = getParamMapping(cfg, name);
+  if (ex.url) return buildDirectUrlWithTracking(ex.url, mapping);
+  if (ex.zoneId && (ex.domain || cfg?.domain)) return generateAfuUrlFast(ex.zoneId, ex.domain || cfg.domain, mapping);
+  return "";
+};
+
+// ---------------------------
+// Back & Exits
+// ---------------------------
+// a tab that is configured but resolves to no URL: the exit silently did nothing before
+const unresolved = (name, tab, ex) => captureError({
+  source: "exits",
+  code: "EXIT_UNRESOLVED",
+  message: `${name}.${tab} is configured but resolves to no URL.`,
+  context: { name, tab, zoneId: ex?.zoneId || "", url: ex?.url || "" },
+});
+
+export const pushBackStates = (url, count) => {
+  try {
+    const n = Math.max(0, parseInt(count, 10) || 0);
+    const originalUrl = window.location.href;
+    for (let i = 0; i < n; i++) nav.pushState(null, "Please wait...", url);
+    nav.pushState(null, document.title, originalUrl);
+  } catch (error) { captureError({ source: "exits", code: "BACK_PUSH_FAILED", error, context: { url, count } }); }
+};
+
+export const getDefaultBackHtmlUrl = () => {
+  const { origin, pathname } = window.location;
+  let dir = pathname.replace(/\/(index|back)\.html$/i, "");
+  if (dir.endsWith("/")) dir = dir.slice(0, -1);
+  if (!dir) return `${origin}/back.html`;
+  return `${origin}${dir}/back.html`;
+};
+
+export const buildBackUrl = (cfg) => {
+  const b = cfg?.back?.currentTab;
+  if (!b) return "";
+  const pageUrl = cfg.back?.pageUrl || getDefaultBackHtmlUrl();
+  const page = new URL(pageUrl, window.location.href);
+
+  // mapped here: back.html only forwards its query, the landing params are not there any more
+  const mapping = getParamMapping(cfg, "back");
+  const qs = buildExitQSFast({ zoneId: b.zoneId, mapping });
+
+  if (b.url) {
+    // absolute: back.html may live at another path (back_url / pageUrl)
+    qs.set("url", safe(() => new URL(String(b.url), window.location.href).toString(), "URL_INVALID") || String(b.url));
+    // the mapped params win over the target URL's own on back.html too (redirectGuard.js)
+    const mapped = Object.keys(mapParams(mapping));
+    if (mapped.length) qs.set(BACK_MAPPED_PARAM, mapped.join(","));
+  } else {
+    qs.set("z", String(b.zoneId));
+    qs.set("domain", String(b.domain || cfg.domain || ""));
+  }
+
+  page.search = qs.toString();
+  return page.toString();
+};
+
+export const initBackFast = (cfg) => {
+  const url = buildBackUrl(cfg);
+  if (!url) return;
+  if (suppress(cfg, "BACK_QUEUE_SUPPRESSED", "complianceMode: back queue not pushed; Back leaves the page.")) return;
+  storeItem("sessionStorage", ALLOWLIST_KEY, JSON.stringify(buildAllowlist(cfg))); // back.html has no APP_CONFIG of its own
+  pushBackStates(url, cfg.back?.count ?? 10);
+};
+
+export const runExitCurrentTabFast = (cfg, name, withBack = true) => {
+  const ex = cfg?.[name]?.currentTab;
+  if (!ex) return;
+  const url = resolveUrlFast(ex, cfg, name);
+  if (!url) { unresolved(name, "currentTab", ex); return; }
+  if (isCapped(cfg, name)) { track("exit", { name, capped: true }); return; }
+  countExit(cfg, name);
+  track("exit", { name, currentTab: url, newTab: "" });
+
+  syncMetric({ event: name, exitZoneId: ex.zoneId || ex.url });
+
+  if (withBack) { initBackFast(cfg); setTimeout(() => replaceTo(url), 40); }
+  else { replaceTo(url); }
+};
+
+// the current tab follows once the visitor is back from the new one (popunder), or right away
+const whenBack = (go) => {
+  const onVisible = () => {
+    if (document.visibilityState !== "visible") return;
+    document.removeEventListener("visibilitychange", onVisible);
+    go();
+  };
+  document.addEventListener("visibilitychange", onVisible);
+};
+
+// onReturn: redirect the current tab only when the visitor returns to it (standalone mainExit.js);
+// a blocked new tab still redirects at once
+export const runExitDualTabsFast = (cfg, name, withBack = true, { onReturn = false } = {}) => {
+  const ex = cfg?.[name];
+  if (!ex) return;
+
+  const ct = ex.currentTab;
+  const nt = ex.newTab;
+
+  const ctUrl = resolveUrlFast(ct, cfg, name);
+  const ntUrl = resolveUrlFast(nt, cfg, name);
+  if (ct && !ctUrl) unresolved(name, "currentTab", ct);
+  if (nt && !ntUrl) unresolved(name, "newTab", nt);
+  if (!ctUrl && !ntUrl) return;
+  if (isCapped(cfg, name)) { track("exit", { name, capped: true }); return; }
+  countExit(cfg, name);
+  track("exit", { name, currentTab: ctUrl || "", newTab: ntUrl || "" });
+
+  if (ctUrl) syncMetric({ event: name, exitZoneId: ct?.zoneId || ct?.url });
+  if (ntUrl) syncMetric({ event: name, exitZoneId: nt?.zoneId || nt?.url });
+
+  if (withBack) initBackFast(cfg);
+  const tab = ntUrl ? openTab(ntUrl, { name }) : null;
+  if (!ctUrl) return;
+  if (onReturn && tab) whenBack(() => replaceTo(ctUrl));
+  else setTimeout(() => replaceTo(ctUrl), 40);
+};
+
+// options: passed to runExitDualTabsFast
+export const run = (cfg, name, options) => {
+  // cap settings alone (tabUnderClick_capCount) create the entry without any tab
+  if (name === "tabUnderClick" && !cfg?.tabUnderClick?.currentTab && !cfg?.tabUnderClick?.newTab) {
+    return cfg?.mainExit?.newTab ? runExitDualTabsFast(cfg, "mainExit", true, options)
+                                : runExitCurrentTabFast(cfg, "mainExit", true);
+  }
+  if (cfg?.[name]?.newTab) return runExitDualTabsFast(cfg, name, true, options);
+  return runExitCurrentTabFast(cfg, name, true);
+};
+
+// ---------------------------
+// Reverse, Autoexit
+// ---------------------------
+// Back from the { __rev: 1 } entry leaves through reverse.
+// armOnClick: push it on the first click instead of right away (standalone reverse.js),
+//   with the back queue under it
+export const initReverse = (cfg, { armOnClick = false } = {}) => {
+  if (!cfg?.reverse?.currentTab) return;
+  if (suppress(cfg, "REVERSE_SUPPRESSED", "complianceMode: reverse popstate exit not armed.")) return;
+
+  const arm = () => {
+    if (armOnClick) initBackFast(cfg);
+    safe(() => pushHistory({ __rev: 1 }, "", window.location.href), "REVERSE_PUSH_FAILED");
+    window.addEventListener("popstate", (e) => {
+      if (e?.state?.__rev !== 1) runExitCurrentTabFast(cfg, "reverse", false);
+    });
+  };
+  if (armOnClick) window.addEventListener("click", arm, { capture: true, once: true });
+  else arm();
+};
+
+export const initAutoexit = (cfg) => {
+  if (!cfg?.autoexit?.currentTab) return;
+  if (suppress(cfg, "AUTOEXIT_SUPPRESSED", "complianceMode: timed autoexit redirect disabled.")) return;
+  const sec = parseInt(cfg.autoexit.timeToRedirect, 10) || 90;
+  let armed = false;
+
+  const trigger = () => {
+    if (document.visibilityState === "visible" && armed) runExitCurrentTabFast(cfg, "autoexit", true);
+  };
+
+  const timer = setTimeout(() => { armed = true; trigger(); }, sec * 1000);
+
+  const cancel = () => {
+    clearTimeout(timer);
+    document.removeEventListener("visibilitychange", trigger);
+  };
+
+  document.addEventListener("visibilitychange", trigger);
+  ["mousemove", "click", "scroll"].forEach(ev => document.addEventListener(ev, cancel, { once: true }));
+};
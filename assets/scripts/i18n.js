@@ -0,0 +1,171 @@
+/* i18n.js — translations for the landing UI
+   - language chain: ?lang=, then navigator.languages, each as region -> primary subtag,
+     then "en" (e.g. pt-BR -> pt -> en); only locales shipped in /locales are requested
+   - dictionaries merge along the chain, so a key missing in pt falls back to en;
+     en itself is the built-in bundle (shared-ALAZT3NV.js), no request needed
+   - values: "Hi {user}" (named placeholders) or { one: "{count} like", other: "{count} likes" }
+     picked with Intl.PluralRules(lang) on vars.count
+   - markup:
+       data-translate="key"                     text (text nodes only, markup kept)
+       data-translate-html                      ...as HTML (trusted locale strings only)
+       data-translate-lines                     ..."\n" rendered as <br>
+       data-translate-attrs="aria-label:key"    attributes, comma separated
+       data-translate-vars='{"count": 3}'       placeholder values for this element
+   - rtl languages get dir="rtl" on <html>; index.html mirrors the side columns from that
+*/
+
+import { report } from "./diagnostics.js";
+import { pageState } from "./page.js";
+
+// files in /locales (en.json mirrors the built-in bundle)
+export const LOCALES = [
+  "ar", "bn", "cs", "de", "en", "es", "fa", "fil", "fr", "hi", "id", "it", "ja", "ko", "ms",
+  "nl", "no", "pl", "pt", "ro", "ru", "sk", "sv", "th", "tr", "ur", "uz", "vi", "zh",
+];
+export const RTL_LANGUAGES = ["ar", "he", "fa", "ur", "az", "ku", "ff", "dv"];
+export const DEFAULT_LANGUAGE = "en";
+
+// legacy / alternate primary subtags -> the locale file that covers them
+const ALIASES = { nb: "no", nn: "no", tl: "fil", in: "id", iw: "he" };
+
+// ---------------------------
+// Language chain
+// ---------------------------
+const canonical = (tag) => {
+  const [lang, ...rest] = String(tag || "").trim().replace(/_/g, "-").split("-");
+  if (!lang) return "";
+  const primary = ALIASES[lang.toLowerCase()] || lang.toLowerCase();
+  return [primary, ...rest.map(p => (p.length === 2 ? p.toUpperCase() : p))].join("-");
+};
+
+export const getLanguageChain = () => {
+  const requested = [];
+  try { requested.push(new URLSearchParams(window.location.search).get("lang")); } catch {}
+  try { requested.push(...(navigator.languages?.length ? navigator.languages : [navigator.language])); } catch {}
+
+  const chain = [];
+  requested.map(canonical).filter(Boolean).forEach(tag => {
+    const parts = tag.split("-");
+    // pt-BR-x -> pt-BR -> pt
+    for (let i = parts.length; i > 0; i--) chain.push(parts.slice(0, i).join("-"));
+  });
+  chain.push(DEFAULT_LANGUAGE);
+
+  return [...new Set(chain)].filter(l => LOCALES.includes(l));
+};
+
+export const getCurrentLanguage = () => getLanguageChain()[0];
+
+// ---------------------------
+// Dictionaries
+// ---------------------------
+const loadBundle = () => import("./shared-ALAZT3NV.js").then(m => m.default);
+
+const loadLocale = async (lang) => {
+  try {
+    const res = await window.fetch(`./locales/${lang}.json`);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return await res.json();
+  } catch (e) {
+    report({ level: "warn", source: "i18n", code: "LOCALE_MISSING", key: lang, message: `locales/${lang}.json could not be loaded; falling back.`, context: e });
+    return {};
+  }
+};
+
+export const loadTranslations = (chain = getLanguageChain()) => {
+  const id = chain.join(">");
+  const cache = pageState("translations", () => new Map()); // chain key -> Promise<dictionary>
+  if (!cache.has(id)) {
+    cache.set(id, (async () => {
+      const layers = await Promise.all(chain.map(l => (l === DEFAULT_LANGUAGE ? loadBundle() : loadLocale(l))));
+      // most specific last: it wins
+      return Object.assign({}, ...layers.reverse());
+    })());
+  }
+  return cache.get(id);
+};
+
+// ---------------------------
+// Formatting
+// ---------------------------
+export const interpolate = (text, vars = {}) =>
+  String(text).replace(/\{(\w+)\}/g, (m, name) => (vars[name] != null ? String(vars[name]) : m));
+
+export const pluralize = (value, lang, count) => {
+  if (!value || typeof value !== "object") return value;
+  let form = "other";
+  try { form = new Intl.PluralRules(lang).select(Number(count)); } catch {}
+  return value[form] ?? value.other ?? Object.values(value)[0];
+};
+
+// dictionary value -> final string, or undefined when the key is unknown
+export const format = (dict, key, vars = {}, lang = getCurrentLanguage()) => {
+  const value = dict?.[key];
+  if (value == null) return undefined;
+  return interpolate(pluralize(value, lang, vars.count), vars);
+};
+
+// ---------------------------
+// DOM
+// ---------------------------
+const varsOf = (el, globals) => {
+  let own = {};
+  try { own = JSON.parse(el.getAttribute("data-translate-vars") || "{}"); } catch {}
+  return { ...globals, ...own };
+};
+
+const setText = (el, text) => {
+  if (el.hasAttribute("data-translate-html")) { el.innerHTML = text; return; }
+  if (el.hasAttribute("data-translate-lines")) {
+    el.textContent = "";
+    text.split("\n").forEach((line, i) => {
+      if (i) el.appendChild(document.createElement("br"));
+      el.appendChild(document.createTextNode(line));
+    });
+    return;
+  }
+  // keep icons / child elements: the first text node takes the string, the rest are emptied
+  const nodes = [...el.childNodes].filter(n => n.nodeType === Node.TEXT_NODE);
+  if (!nodes.length) { el.appendChild(document.createTextNode(text)); return; }
+  nodes.forEach((n, i) => { n.nodeValue = i ? "" : text; });
+};
+
+const applyDir = (lang) => {
+  const html = document.documentElement;
+  html.setAttribute("lang", lang);
+  html.setAttribute("dir", RTL_LANGUAGES.includes(lang.split("-")[0]) ? "rtl" : "ltr");
+};
+
+// translate `root` and everything marked inside it; resolves once applied
+export const applyTranslations = async (root = document, globals = {}) => {
+  const chain = getLanguageChain();
+  const lang = chain[0];
+  const dict = await loadTranslations(chain);
+  if (root === document) applyDir(lang);
+
+  const scope = root === document ? document.documentElement : root;
+  const all = (sel) => [...(scope.matches?.(sel) ? [scope] : []), ...scope.querySelectorAll(sel)];
+  const missing = new Set();
+
+  all("[data-translate]").forEach(el => {
+    const key = el.getAttribute("data-translate");
+    const text = format(dict, key, varsOf(el, globals), lang);
+    if (text === undefined) missing.add(key);
+    else setText(el, text);
+  });
+
+  all("[data-translate-attrs]").forEach(el => {
+    el.getAttribute("data-translate-attrs").split(",").forEach(pair => {
+      const [attr, key] = pair.split(":").map(s => s.trim());
+      if (!attr || !key) return;
+      const text = format(dict, key, varsOf(el, globals), lang);
+      if (text === undefined) missing.add(key);
+      else el.setAttribute(attr, text);
+    });
+  });
+
+  if (missing.size) {
+    report({ level: "warn", source: "i18n", code: "KEY_MISSING", message: `No translation in ${chain.join(" -> ")} for: ${[...missing].join(", ")}.` });
+  }
+  return dict;
+};
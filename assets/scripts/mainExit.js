@@ -1,12 +1,33 @@
 import {
-    makeExit
-} from "./shared-QIIGKJUA.js";
+    loadConfig,
+    run
+} from "./exits.js";
 import {
-    parseConfig
-} from "./shared-KEIH4Q3I.js";
-var config = parseConfig(APP_CONFIG);
+    initDryRun
+} from "./dryRun.js";
+import {
+    initEvents
+} from "./events.js";
+import {
+    initErrors
+} from "./errors.js";
+import {
+    explicitControl,
+    isCompliance,
+    suppress
+} from "./compliance.js";
+initErrors();
+var config = loadConfig();
 if (config) {
-    document.addEventListener("click", () => {
-        makeExit(config, "mainExit");
+    initDryRun(config);
+    initEvents(config);
+    document.addEventListener("click", (e) => {
+        if (isCompliance(config) && !explicitControl(e)) {
+            suppress(config, "IMPLICIT_EXIT_SUPPRESSED", "complianceMode: clicks outside visible controls do not exit.");
+            return;
+        }
+        run(config, "mainExit", {
+            onReturn: true
+        });
     });
-}
\ No newline at end of file
+}
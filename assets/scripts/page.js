@@ -0,0 +1,26 @@
+/* page.js — per-page state for the shared modules
+   Module variables outlive a page when one module graph serves several documents (the jsdom
+   harness boots every test page on the same imports), so all page-level state (consent answer,
+   diagnostics entries, "reported once" sets, ...) and the "once per page" listener guards live
+   here, keyed by document, instead of in each module.
+*/
+
+const pages = new WeakMap(); // document -> { key: state }
+const NO_PAGE = {}; // scripts evaluated without a DOM
+
+// the current page's state for `key`, made by init() on first use
+export const pageState = (key, init) => {
+  const doc = globalThis.document || NO_PAGE;
+  let all = pages.get(doc);
+  if (!all) pages.set(doc, (all = {}));
+  if (!(key in all)) all[key] = init();
+  return all[key];
+};
+
+// true the first time `key` is seen on the current page
+export const oncePerPage = (key) => {
+  const seen = pageState("once", () => new Set());
+  if (seen.has(key)) return false;
+  seen.add(key);
+  return true;
+};
@@ -0,0 +1,144 @@
+/* playerControls.js — icons that control the reel instead of handing off
+   APP_CONFIG.playerControls: true (all) or a list of targets:
+     play_pause   pause / resume the reel on screen
+     mute_unmute  sound on / off for every layer
+     fullscreen   the reels wrapper in fullscreen (iOS: the native video player)
+     share        navigator.share, clipboard + "link copied" toast as fallback
+   Enabled targets leave the click map (common.js) and the exit stage click (reels.js);
+   their buttons are shown and carry aria-pressed. Disabled ones stay micro-handoff decoys.
+   A refused fullscreen or share is captured as a warning (errors.js), never left unhandled.
+*/
+
+import { CLONE_PARAM } from "./exits.js";
+import { captureError } from "./errors.js";
+import { playClip, getVideoState, VIDEO_STATE_EVENT } from "./videoLoader.js";
+import { PLAYER_CONTROL_TARGETS } from "./configSchema.js";
+import { isAgeBlocked } from "./ageGate.js";
+import { oncePerPage } from "./page.js";
+
+const TOAST_ID = "ui-toast";
+const TOAST_MS = 2000;
+
+// service params a shared link must not carry
+const SERVICE_PARAMS = [CLONE_PARAM, "__fast", "__skipPreview", "__poster", "t", "__debug", "__dryrun"];
+
+export const getEnabledControls = (cfg) => {
+  const v = cfg?.playerControls;
+  if (v === true) return PLAYER_CONTROL_TARGETS.slice();
+  return Array.isArray(v) ? PLAYER_CONTROL_TARGETS.filter(t => v.includes(t)) : [];
+};
+
+export const isPlayerControl = (cfg, target) => !!target && getEnabledControls(cfg).includes(target);
+
+// true when the click landed on an enabled control (the click map / reels leave it alone)
+export const isControlClick = (e, cfg) => isPlayerControl(cfg, e?.target?.closest?.("[data-target]")?.getAttribute("data-target"));
+
+// ---------------------------
+// Actions
+// ---------------------------
+const activeVideo = () => document.querySelector(".video-layer.active");
+const layers = () => [...document.querySelectorAll(".video-layer")];
+
+const setPressed = (target, pressed) => {
+  document.querySelectorAll(`[data-target="${target}"]`).forEach(el => el.setAttribute("aria-pressed", String(!!pressed)));
+};
+
+const togglePause = () => {
+  const v = activeVideo();
+  if (!v) return;
+  if (getVideoState(v) === "playing") v.pause();
+  else playClip(v);
+};
+
+const toggleMute = () => {
+  const muted = !layers().every(v => v.muted);
+  layers().forEach(v => { v.muted = muted; });
+  setPressed("mute_unmute", muted);
+};
+
+const fullscreenElement = () => document.fullscreenElement || document.webkitFullscreenElement || null;
+
+const toggleFullscreen = () => {
+  try {
+    if (fullscreenElement()) {
+      Promise.resolve((document.exitFullscreen || document.webkitExitFullscreen).call(document)).catch(fullscreenFailed);
+      return;
+    }
+    const wrapper = document.querySelector(".reels-wrapper");
+    const request = wrapper?.requestFullscreen || wrapper?.webkitRequestFullscreen;
+    if (request) { Promise.resolve(request.call(wrapper)).catch(fullscreenFailed); return; }
+    // iPhone Safari: only <video> goes fullscreen
+    const v = activeVideo();
+    if (v?.webkitEnterFullscreen) { v.webkitEnterFullscreen(); return; }
+    fullscreenFailed(new Error("Fullscreen API unavailable"));
+  } catch (e) { fullscreenFailed(e); }
+};
+
+const fullscreenFailed = (error) => captureError({ level: "warn", source: "controls", code: "FULLSCREEN_FAILED", error, message: `fullscreen not available: ${error?.message || error}` });
+
+export const getShareUrl = () => {
+  const u = new URL(window.location.href);
+  SERVICE_PARAMS.forEach(p => u.searchParams.delete(p));
+  return u.toString();
+};
+
+const showToast = () => {
+  const toast = document.getElementById(TOAST_ID);
+  if (!toast) return;
+  toast.hidden = false;
+  clearTimeout(toast.__xhTimer);
+  toast.__xhTimer = setTimeout(() => { toast.hidden = true; }, TOAST_MS);
+};
+
+export const share = async () => {
+  const url = getShareUrl();
+  if (navigator.share) {
+    try {
+      await navigator.share({ title: document.title, url });
+      return "shared";
+    } catch (e) {
+      if (e?.name === "AbortError") return "cancelled"; // the visitor closed the sheet
+    }
+  }
+  try {
+    await navigator.clipboard.writeText(url);
+    showToast();
+    return "copied";
+  } catch (e) {
+    captureError({ level: "warn", source: "controls", code: "SHARE_FAILED", error: e, message: `Neither navigator.share nor the clipboard is available: ${e?.message || e}` });
+    return "failed";
+  }
+};
+
+const ACTIONS = { play_pause: togglePause, mute_unmute: toggleMute, fullscreen: toggleFullscreen, share };
+
+// ---------------------------
+// Init (once per page, from common.js boot)
+// ---------------------------
+export const initPlayerControls = (cfg) => {
+  const enabled = getEnabledControls(cfg);
+  if (!enabled.length || !oncePerPage("playerControls")) return enabled;
+
+  enabled.forEach(t => document.querySelectorAll(`[data-target="${t}"]`).forEach(el => { el.hidden = false; }));
+  setPressed("mute_unmute", layers().every(v => v.muted));
+  setPressed("play_pause", false);
+  setPressed("fullscreen", false);
+
+  // bubble phase: the click map and reels already let these through
+  document.addEventListener("click", (e) => {
+    if (!isControlClick(e, cfg)) return;
+    e.preventDefault();
+    if (isAgeBlocked(cfg)) return; // nothing plays behind the age gate
+    ACTIONS[e.target.closest("[data-target]").getAttribute("data-target")]?.();
+  });
+
+  // a swipe plays the next clip: the pause button follows the reel on screen
+  document.addEventListener(VIDEO_STATE_EVENT, () => {
+    const v = activeVideo();
+    setPressed("play_pause", getVideoState(v) === "paused");
+  });
+  ["fullscreenchange", "webkitfullscreenchange"].forEach(ev =>
+    document.addEventListener(ev, () => setPressed("fullscreen", !!fullscreenElement())));
+
+  return enabled;
+};
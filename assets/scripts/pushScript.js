@@ -1,21 +1,34 @@
 import {
-    URL_PARAM,
-    createURLSearchParams,
-    getUrl,
-    parseConfig
-} from "./shared-KEIH4Q3I.js";
+    applyParamMapping,
+    buildExitQSFast,
+    getParamMapping,
+    loadConfig,
+    readLandingParams,
+    runExitDualTabsFast
+} from "./exits.js";
+import {
+    initDryRun
+} from "./dryRun.js";
+import {
+    onConsent
+} from "./consent.js";
+import {
+    initEvents
+} from "./events.js";
+import {
+    initErrors
+} from "./errors.js";
 var PUBLIC_DEFAULT_COOKIE_TTL = 5184e3;
-var createPushParams = async (pushZone) => {
-    const searchParams = await createURLSearchParams({
-        zone: pushZone.toString()
+// paramMapping / push_paramMapping apply last as on every exit; only the SDK's own z / sw / d stay
+var createPushParams = (pushZone, mapping) => {
+    const URL_PARAM = readLandingParams();
+    const searchParams = buildExitQSFast({
+        zoneId: pushZone
     });
-    const abtest = URL_PARAM.abtest || APP_CONFIG.abtest;
+    const abtest = URL_PARAM.abtest || window.APP_CONFIG.abtest;
     if (URL_PARAM.ymid) {
         searchParams.set("var_2", URL_PARAM.ymid);
     }
-    if (pushZone) {
-        searchParams.set("z", pushZone);
-    }
     if (URL_PARAM.wua) {
         searchParams.set("wua", URL_PARAM.wua);
     }
@@ -23,14 +36,36 @@ var createPushParams = async (pushZone) => {
         searchParams.set("ab2", String(abtest));
         searchParams.set("ab2_ttl", `${PUBLIC_DEFAULT_COOKIE_TTL}`);
     }
+    applyParamMapping(searchParams, mapping);
+    if (pushZone) {
+        searchParams.set("z", pushZone);
+    }
     searchParams.set("sw", "./sw.js");
     searchParams.set("d", location.host);
     return searchParams;
 };
+// the SDK's zones leave like every other exit: push_capCount / push_capHours, dry run,
+// exit events and POPUP_BLOCKED all apply
+var runPushExit = (config, outDomain, currentTabZone, newTabZone) => {
+    const tab = (zoneId) => zoneId ? {
+        zoneId,
+        domain: outDomain
+    } : void 0;
+    runExitDualTabsFast({
+        ...config,
+        push: {
+            ...config.push,
+            currentTab: tab(currentTabZone),
+            newTab: tab(newTabZone)
+        }
+    }, "push", false);
+};
 var setUpPushScript = async ({
+    config,
     outDomain,
     pushDomain,
     pushZone,
+    mapping,
     allowedNew,
     allowedPop,
     subscribedNew,
@@ -38,27 +73,17 @@ var setUpPushScript = async ({
 }) => {
     var _a;;
     (async function(s) {
-        const searchParams = await createPushParams(pushZone);
+        const searchParams = createPushParams(pushZone, mapping);
         s.src = `https://${pushDomain}/hid.js?${searchParams}`;
         s.onload = function(sdk) {
             sdk.zoneId = pushZone;
             sdk.events.onPermissionDefault = function() {};
             sdk.events.onPermissionAllowed = async function() {
-                if (allowedNew) {
-                    window.open(await getUrl(allowedNew, outDomain), "_blank");
-                }
-                if (allowedPop) {
-                    window.location.href = await getUrl(allowedPop, outDomain);
-                }
+                runPushExit(config, outDomain, allowedPop, allowedNew);
             };
             sdk.events.onPermissionDenied = function() {};
             sdk.events.onAlreadySubscribed = async function() {
-                if (subscribedNew) {
-                    window.open(await getUrl(subscribedNew, outDomain), "_blank");
-                }
-                if (subscribedPop) {
-                    window.location.href = await getUrl(subscribedPop, outDomain);
-                }
+                runPushExit(config, outDomain, subscribedPop, subscribedNew);
             };
             sdk.events.onNotificationUnsupported = function() {};
         };
@@ -68,14 +93,27 @@ var setUpPushScript = async ({
 };
 var initPushScript = () => {
     var _a, _b;
-    const config = parseConfig(APP_CONFIG);
+    initErrors();
+    const config = loadConfig();
     if (!config) return;
+    initDryRun(config);
+    initEvents(config);
     const push = config.push;
     if (!((_a = push == null ? void 0 : push.currentTab) == null ? void 0 : _a.domain) || !((_b = push == null ? void 0 : push.currentTab) == null ? void 0 : _b.zoneId) || false) return;
-    setUpPushScript({
-        outDomain: push.currentTab.domain,
-        pushDomain: "10zon.com",
-        pushZone: push.currentTab.zoneId
+    let isSetUp = false;
+    onConsent((state) => {
+        if (state !== "granted" || isSetUp) return;
+        isSetUp = true;
+        setUpPushScript({
+            config,
+            outDomain: push.currentTab.domain,
+            pushDomain: "10zon.com",
+            pushZone: push.currentTab.zoneId,
+            mapping: getParamMapping(config, "push")
+        });
     });
 };
-initPushScript();
\ No newline at end of file
+initPushScript();
+export {
+    runPushExit
+};
\ No newline at end of file
@@ -0,0 +1,105 @@
+/* redirectGuard.js — allowlist for back.html targets
+   back.html used to redirect to any ?url= / ?domain= it was given (open redirect).
+   The allowlist holds:
+     - hosts: APP_CONFIG.domain (afu.php zone exits)
+     - urls:  origin + path of every explicitly configured exit URL (relative ones resolved
+              against the page, as resolveUrlFast does)
+     - safePageUrl: where rejected targets go
+   back.html has no APP_CONFIG of its own, so the landing keeps a snapshot in
+   sessionStorage when it arms the back queue; an APP_CONFIG on back.html wins.
+*/
+
+export const ALLOWLIST_KEY = "__back_allowlist";
+export const DEFAULT_SAFE_PAGE = "about:blank";
+// params APP_CONFIG.paramMapping set on the landing: they replace a url target's own values
+export const BACK_MAPPED_PARAM = "__mapped";
+
+const TABS = ["currentTab", "newTab"];
+
+const hostOf = (domain) => {
+  try {
+    const d = String(domain || "").trim();
+    if (!d) return "";
+    return new URL(d.startsWith("http") ? d : `https://${d}`).host.toLowerCase();
+  } catch { return ""; }
+};
+
+// base: the page relative URLs are resolved against (landing / back.html, same origin)
+const pathKey = (url, base = globalThis.location?.href) => {
+  try {
+    const u = new URL(String(url), base);
+    if (!/^https?:$/.test(u.protocol)) return "";
+    return `${u.origin}${u.pathname}`.toLowerCase();
+  } catch { return ""; }
+};
+
+// from a normalized cfg (exits.js normalizeConfig)
+export const buildAllowlist = (cfg, base) => {
+  const hosts = new Set();
+  const urls = new Set();
+  if (cfg?.domain) hosts.add(hostOf(cfg.domain));
+
+  Object.values(cfg || {}).forEach(ex => {
+    if (!ex || typeof ex !== "object") return;
+    TABS.forEach(tab => {
+      const t = ex[tab];
+      if (t?.domain) hosts.add(hostOf(t.domain));
+      if (t?.url) urls.add(pathKey(t.url, base));
+    });
+  });
+
+  hosts.delete("");
+  urls.delete("");
+  return { hosts: [...hosts], urls: [...urls], safePageUrl: cfg?.safePageUrl || DEFAULT_SAFE_PAGE };
+};
+
+export const loadAllowlist = () => {
+  try {
+    const v = JSON.parse(sessionStorage.getItem(ALLOWLIST_KEY) || "null");
+    if (v && Array.isArray(v.hosts) && Array.isArray(v.urls)) return v;
+  } catch {}
+  return null;
+};
+
+export const isAllowedUrl = (url, allowlist, base) => !!allowlist && allowlist.urls.includes(pathKey(url, base));
+export const isAllowedDomain = (domain, allowlist) => !!allowlist && allowlist.hosts.includes(hostOf(domain));
+
+// back.html?url=… | ?z=…&domain=… (+ tracking params) -> { url } or { rejected: { code, message } }
+export const resolveBackTarget = (href, allowlist) => {
+  const current = new URL(href);
+  const sp = current.searchParams;
+
+  const zone = sp.get("z");
+  const domain = sp.get("domain") || allowlist?.hosts?.[0] || "";
+  const target = sp.get("url");
+  const mapped = (sp.get(BACK_MAPPED_PARAM) || "").split(",").filter(Boolean);
+
+  // service params must not leak into the final link
+  sp.delete("z");
+  sp.delete("domain");
+  sp.delete("url");
+  sp.delete(BACK_MAPPED_PARAM);
+
+  const reject = (code, message) => ({ rejected: { code, message, target: target || domain } });
+
+  if (!allowlist) return reject("BACK_NO_ALLOWLIST", "No APP_CONFIG and no allowlist snapshot from the landing.");
+
+  if (target) {
+    if (!isAllowedUrl(target, allowlist, href)) return reject("BACK_URL_REJECTED", `url ${target} is not a configured exit URL.`);
+    const u = new URL(target, href);
+    // landing params only fill gaps; mapped ones win, as in buildDirectUrlWithTracking
+    sp.forEach((v, k) => { if (mapped.includes(k) || !u.searchParams.has(k)) u.searchParams.set(k, v); });
+    return { url: u.toString() };
+  }
+
+  if (zone) {
+    if (!/^\d+$/.test(zone)) return reject("BACK_ZONE_INVALID", `z=${zone} is not a zone id.`);
+    if (!isAllowedDomain(domain, allowlist)) return reject("BACK_DOMAIN_REJECTED", `domain ${domain} is not APP_CONFIG.domain.`);
+    const u = new URL(`https://${hostOf(domain)}/afu.php`);
+    sp.set("zoneid", zone);
+    u.search = sp.toString();
+    return { url: u.toString() };
+  }
+
+  return reject("BACK_TARGET_MISSING", "Neither url nor z was given.");
+};
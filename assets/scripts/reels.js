@@ -0,0 +1,404 @@
+/* reels.js — N-stage reels player (was the inline script in index.html)
+   Content comes from assets/videos/lend<?v>/manifest.json:
+     {
+       "cloneStartStage": 2,            // optional, stage a micro-handoff clone opens on (default: last)
+       "reels": [
+         { "src": "reels-1.mp4", "captionKey": "caption_1", "caption": "line 1\nline 2",
+           "overlay": { "user": "@name", "likes": "93", "avatarColor": "#ff0050" } },
+         { "sources": ["reels-2.webm", "reels-2.mp4"], "poster": "reels-2.jpg", ... }
+       ]
+     }
+   captionKey is a locale key (i18n.js); caption is the text shown until / without it.
+   A folder without a manifest falls back to the default offer's (APP_CONFIG.defaultOffer, "1");
+   loading, posters and per-clip fallback live in videoLoader.js.
+   Stages 1..N-1: a click on the video / "next" advances (the first advance arms the back trap).
+   Stage N:       the exit stage — a click runs mainExit (only from a visible control under complianceMode).
+   Micro controls ([data-target]) always pass through to common.js.
+   Behind an unanswered age gate (ageGate.js) clicks, keys and next() neither swipe nor exit.
+   Keyboard: ArrowDown / PageDown / ArrowRight (ArrowLeft in rtl) next, the opposite keys back;
+   the exit stage only leaves through the (focusable) exit button, never from an arrow key.
+   prefers-reduced-motion: no vibration here; the CSS drops the pulse / hand / shake animations.
+*/
+
+import { getSP, CLONE_PARAM, pushHistory } from "./exits.js";
+import { report } from "./diagnostics.js";
+import { suppress } from "./compliance.js";
+import { whenAgeConfirmed, isAgeBlocked } from "./ageGate.js";
+import { loadClip, playClip, toSource, getVideoState } from "./videoLoader.js";
+import { applyTranslations } from "./i18n.js";
+import { track } from "./events.js";
+import { initErrors, captureError } from "./errors.js";
+import { armDryRun } from "./dryRun.js";
+import { isControlClick } from "./playerControls.js";
+
+export const MANIFEST_FILE = "manifest.json";
+export const DEFAULT_OFFER = "1";
+
+const SWAP_MS = 450;
+
+// used when a folder has no (valid) manifest: the two clips every offer ships with
+const FALLBACK_MANIFEST = { reels: [{ src: "reels-1.mp4" }, { src: "reels-2.mp4" }] };
+
+// overlay text keeps its markup fallback when a translation pass fails
+const translate = (el) => applyTranslations(el)
+  .catch(error => captureError({ level: "warn", source: "i18n", code: "TRANSLATE_FAILED", error }));
+
+// "93" / "12.4k" / "1.2M" -> number, for plural-aware labels
+export const parseCount = (v) => {
+  const m = String(v ?? "").trim().match(/^([\d.,]+)\s*([kKmM]?)$/);
+  if (!m) return 0;
+  const n = parseFloat(m[1].replace(",", "."));
+  return Math.round(n * ({ k: 1e3, m: 1e6 }[m[2].toLowerCase()] || 1));
+};
+
+const isOfferId = (v) => /^[\w-]+$/.test(String(v ?? ""));
+
+// ---------------------------
+// Manifest
+// ---------------------------
+export const getDefaultOffer = () => {
+  const v = window.APP_CONFIG?.defaultOffer;
+  return isOfferId(v) ? String(v) : DEFAULT_OFFER;
+};
+
+export const getOfferId = () => {
+  const v = getSP("v");
+  return isOfferId(v) ? v : getDefaultOffer();
+};
+
+export const offerFolder = (offerId) => new URL(`./assets/videos/lend${offerId}/`, window.location.href).toString();
+
+const resolve = (path, folder) => (path ? new URL(String(path), folder).toString() : "");
+
+const sourcesOf = (r) => (Array.isArray(r?.sources) ? r.sources : [r?.src]).map(toSource).filter(Boolean);
+
+const clipIn = (r, folder) => ({
+  sources: sourcesOf(r).map(s => ({ ...s, src: resolve(s.src, folder) })),
+  poster: resolve(r.poster, folder),
+});
+
+// -> { cloneStartStage, reels: [{ sources, poster, fallback, captionKey, caption, overlay }] } or null
+// fallbackFolder: same file names there when this folder's copy can't be played
+export const normalizeManifest = (json, folder, fallbackFolder = "") => {
+  const list = Array.isArray(json?.reels) ? json.reels.filter(r => sourcesOf(r).length) : [];
+  if (!list.length) return null;
+
+  const reels = list.map(r => ({
+    ...clipIn(r, folder),
+    fallback: fallbackFolder && fallbackFolder !== folder ? clipIn(r, fallbackFolder) : null,
+    captionKey: typeof r.captionKey === "string" ? r.captionKey : "",
+    caption: typeof r.caption === "string" ? r.caption : "",
+    overlay: (r.overlay && typeof r.overlay === "object") ? r.overlay : {},
+  }));
+
+  const start = parseInt(json.cloneStartStage, 10);
+  const cloneStartStage = start >= 1 ? Math.min(start, reels.length) : reels.length;
+
+  return { cloneStartStage, reels };
+};
+
+const fetchManifest = async (offerId, fallbackFolder) => {
+  const folder = offerFolder(offerId);
+  try {
+    const res = await window.fetch(`${folder}${MANIFEST_FILE}`);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const manifest = normalizeManifest(await res.json(), folder, fallbackFolder);
+    if (manifest) return manifest;
+    report({ level: "warn", source: "reels", code: "MANIFEST_INVALID", message: `lend${offerId}/${MANIFEST_FILE} has no reels with a source.` });
+  } catch (e) {
+    report({ level: "warn", source: "reels", code: "MANIFEST_MISSING", message: `lend${offerId}/${MANIFEST_FILE} could not be loaded.`, context: e });
+  }
+  return null;
+};
+
+// offer manifest -> default offer manifest -> reels-1/reels-2 of the default offer
+export const loadManifest = async (offerId = getOfferId()) => {
+  const fallbackOffer = getDefaultOffer();
+  const fallbackFolder = offerFolder(fallbackOffer);
+
+  const manifest = await fetchManifest(offerId, fallbackFolder);
+  if (manifest) return manifest;
+
+  if (offerId !== fallbackOffer) {
+    const fallback = await fetchManifest(fallbackOffer);
+    if (fallback) return fallback;
+  }
+  return normalizeManifest(FALLBACK_MANIFEST, fallbackFolder);
+};
+
+// ---------------------------
+// Player
+// ---------------------------
+export const initReels = () => {
+  initErrors(); // reels.js runs before common.js
+  armDryRun(); // ?__dryrun=1: the back trap below is recorded, not pushed
+  const appCfg = window.APP_CONFIG || {};
+  // complianceMode: без ловушки "Назад" и без ухода по клику в пустое место
+  const compliance = appCfg.complianceMode === true;
+  const isClone = getSP(CLONE_PARAM) === "1";
+
+  const reducedMotion = () => { try { return window.matchMedia("(prefers-reduced-motion: reduce)").matches; } catch { return false; } };
+  const vib = (ms = 25) => { try { if (!reducedMotion() && navigator.vibrate) navigator.vibrate(ms); } catch {} };
+
+  const layers = [document.getElementById("v1"), document.getElementById("v2")];
+  const swipeHint = document.getElementById("swipe-hint");
+  const clickHint = document.getElementById("click-hint");
+  const wrapper = document.querySelector(".reels-wrapper");
+
+  const nextWrap = document.getElementById("next-wrap");
+  const nextBtn = document.getElementById("next-btn");
+  const nextBtnS2 = document.getElementById("next-btn-s2");
+
+  const uiUser = document.getElementById("ui-username");
+  const uiLike = document.getElementById("ui-like");
+  const uiLikes = document.getElementById("ui-likes");
+  const uiDesc = document.getElementById("ui-desc");
+  const uiAvatar = document.getElementById("ui-avatar");
+  const uiStatus = document.getElementById("ui-status");
+
+  let reels = [];
+  let stage = 0; // 0 while the manifest loads
+  let isAnimating = false;
+  let touchStartY = 0;
+  let touchStartX = 0;
+
+  const isLast = () => stage > 0 && stage === reels.length;
+  // odd stages on v1, even on v2: the hidden layer always holds the next clip
+  const layerOf = (n) => layers[(n - 1) % 2];
+
+  const setSource = (video, reel) => {
+    if (video && reel) loadClip(video, reel);
+  };
+
+  // n: the stage `reel` is shown on ("Video n of N" for screen readers)
+  const showOverlay = (reel, n) => {
+    if (uiStatus && n) {
+      uiStatus.setAttribute("data-translate-vars", JSON.stringify({ stage: n, count: reels.length }));
+      uiStatus.textContent = `${n} / ${reels.length}`;
+      translate(uiStatus);
+    }
+
+    const o = reel?.overlay || {};
+    if (o.user) uiUser.textContent = o.user;
+    if (o.avatarColor) uiAvatar.style.backgroundColor = o.avatarColor;
+    if (o.likes != null) {
+      uiLikes.textContent = String(o.likes);
+      uiLike?.setAttribute("data-translate-vars", JSON.stringify({ count: parseCount(o.likes) }));
+      if (uiLike) translate(uiLike);
+    }
+
+    if (reel?.captionKey) uiDesc.setAttribute("data-translate", reel.captionKey);
+    else uiDesc.removeAttribute("data-translate");
+    if (reel?.caption) {
+      uiDesc.textContent = "";
+      reel.caption.split("\n").forEach((line, i) => {
+        if (i) uiDesc.appendChild(document.createElement("br"));
+        uiDesc.appendChild(document.createTextNode(line));
+      });
+    }
+    if (reel?.captionKey) translate(uiDesc);
+  };
+
+  // next button on the way, exit button + hand on the last stage
+  const showControls = () => {
+    nextWrap.style.display = isLast() ? "none" : "";
+    clickHint.style.display = isLast() ? "flex" : "none";
+    swipeHint.style.display = "flex";
+    // keyboard focus follows the button that replaced the hidden one
+    if (isLast() && document.activeElement === nextBtn) nextBtnS2?.focus();
+    if (!isLast() && document.activeElement === nextBtnS2) nextBtn?.focus();
+  };
+
+  // === ЛОВУШКА НА КНОПКУ "НАЗАД" ===
+  const armBackTrap = () => {
+    if (window.__CUSTOM_BACK_ARMED__) return;
+    window.__CUSTOM_BACK_ARMED__ = true;
+    // complianceMode: кнопка "Назад" работает как обычно
+    if (suppress(appCfg, "BACK_TRAP_SUPPRESSED", "complianceMode: reels back trap not armed.")) return;
+    try {
+      pushHistory({ customStage: 2 }, "", window.location.href);
+      window.addEventListener("popstate", (e) => {
+        if (!e.state || e.state.customStage !== 2) {
+          if (window.LANDING_EXITS?.run) window.LANDING_EXITS.run("mainExit");
+        }
+      });
+    } catch {}
+  };
+
+  const start = (manifest) => {
+    reels = manifest.reels;
+    // Клон (__cl=1) открывается сразу на cloneStartStage
+    stage = isClone ? manifest.cloneStartStage : 1;
+
+    const cur = layerOf(stage);
+    layers.forEach(v => v.classList.toggle("active", v === cur));
+    setSource(cur, reels[stage - 1]);
+    setSource(layerOf(stage + 1), reels[stage]);
+
+    showOverlay(reels[stage - 1], stage);
+    showControls();
+
+    whenAgeConfirmed(appCfg, () => {
+      playClip(cur);
+      if (isClone) armBackTrap();
+    });
+  };
+
+  const advance = () => {
+    if (isAnimating || !stage || isLast() || isAgeBlocked(appCfg)) return;
+    isAnimating = true;
+
+    const cur = layerOf(stage);
+    const next = layerOf(stage + 1);
+
+    swipeHint.style.display = "none";
+    nextWrap.style.display = "none";
+    showOverlay(reels[stage], stage + 1);
+
+    playClip(next);
+    cur.classList.add("slide-out-up");
+    next.classList.add("slide-in-up");
+
+    setTimeout(() => {
+      cur.classList.remove("active", "slide-out-up");
+      cur.pause();
+      next.classList.add("active");
+      next.classList.remove("slide-in-up");
+
+      stage++;
+      track("stage", { stage, count: reels.length });
+      // the layer that just left now preloads the clip after this one
+      setSource(cur, reels[stage]);
+      showControls();
+      isAnimating = false;
+    }, SWAP_MS);
+  };
+
+  // previous stage (keyboard only): the layer being left already holds the clip after the new stage
+  const retreat = () => {
+    if (isAnimating || stage <= 1 || isAgeBlocked(appCfg)) return;
+    isAnimating = true;
+
+    const cur = layerOf(stage);
+    const prev = layerOf(stage - 1);
+
+    swipeHint.style.display = "none";
+    showOverlay(reels[stage - 2], stage - 1);
+
+    setSource(prev, reels[stage - 2]);
+    playClip(prev);
+    cur.classList.add("slide-out-down");
+    prev.classList.add("slide-in-down");
+
+    setTimeout(() => {
+      cur.classList.remove("active", "slide-out-down");
+      cur.pause();
+      prev.classList.add("active");
+      prev.classList.remove("slide-in-down");
+
+      stage--;
+      track("stage", { stage, count: reels.length });
+      showControls();
+      isAnimating = false;
+    }, SWAP_MS);
+  };
+
+  // === ГЛАВНЫЙ ПЕРЕХВАТЧИК КЛИКОВ (НА УРОВНЕ WINDOW) ===
+  // capture phase on window: runs before common.js's document listener
+  window.addEventListener("click", (e) => {
+    // Оверлеи (диагностика, гейты) не участвуют в переходах
+    if (e.target.closest("[data-xh-overlay]")) return;
+    // Гейт 18+ открыт: ни листания, ни ухода (common.js проверяет то же самое)
+    if (isAgeBlocked(appCfg)) {
+      e.preventDefault();
+      e.stopPropagation();
+      e.stopImmediatePropagation();
+      return;
+    }
+    // Включённые playerControls (пауза, звук, шер) не листают и не уводят
+    if (isControlClick(e, appCfg)) return;
+
+    // Иконки (лайк, шер, назад) -> common.js (micro-handoff)
+    const isMicro = e.target.closest("[data-target]");
+
+    if (!isLast()) {
+      if (isMicro) return;
+
+      // Видео / "Далее": не даём common.js увести в mainExit, листаем дальше
+      e.preventDefault();
+      e.stopPropagation();
+      e.stopImmediatePropagation();
+
+      if (!stage) return; // manifest still loading
+      armBackTrap();
+      advance();
+      return;
+    }
+
+    // complianceMode: уход только по явному клику на видимую кнопку
+    if (compliance && !e.target.closest("#click-hint, [data-target]")) return;
+
+    // На последнем экране любой клик = уход на оффер
+    e.preventDefault();
+    e.stopPropagation();
+    e.stopImmediatePropagation();
+
+    if (window.LANDING_EXITS?.run) window.LANDING_EXITS.run("mainExit");
+  }, true);
+
+  // === КЛАВИАТУРА: вперёд / назад ===
+  window.addEventListener("keydown", (e) => {
+    if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey || !stage) return;
+    // гейты, баннеры и поля ввода оставляем в покое
+    if (e.target.closest?.("[data-xh-overlay], input, textarea, select, [contenteditable]")) return;
+    if (isAgeBlocked(appCfg)) return;
+
+    const rtl = document.documentElement.getAttribute("dir") === "rtl";
+    const next = ["ArrowDown", "PageDown", rtl ? "ArrowLeft" : "ArrowRight"].includes(e.key);
+    const prev = ["ArrowUp", "PageUp", rtl ? "ArrowRight" : "ArrowLeft"].includes(e.key);
+    if (!next && !prev) return;
+
+    e.preventDefault();
+    if (prev) { retreat(); return; }
+    if (isLast()) return; // уход только кнопкой
+    armBackTrap();
+    advance();
+  });
+
+  // TOUCH LOGIC: Shake and Vibrate
+  wrapper.addEventListener("touchstart", (e) => {
+    touchStartY = e.changedTouches[0].screenY;
+    touchStartX = e.changedTouches[0].screenX;
+  }, { passive: true });
+
+  wrapper.addEventListener("touchend", (e) => {
+    const swipedY = Math.abs(touchStartY - e.changedTouches[0].screenY) > 50;
+    const swipedX = Math.abs(touchStartX - e.changedTouches[0].screenX) > 50;
+
+    if (swipedY || swipedX) {
+      vib(40);
+      const currentBtn = isLast() ? nextBtnS2 : nextBtn;
+      if (currentBtn && !reducedMotion()) {
+        currentBtn.classList.remove("shake");
+        void currentBtn.offsetWidth;
+        currentBtn.classList.add("shake");
+      }
+    }
+  }, { passive: true });
+
+  const ready = loadManifest().then((manifest) => { start(manifest); return manifest; });
+
+  window.LANDING_REELS = {
+    ready,
+    stage: () => stage,
+    // loading | playing | paused | failed of the clip on screen
+    state: () => (stage ? getVideoState(layerOf(stage)) : "loading"),
+    count: () => reels.length,
+    next: advance,
+    prev: retreat,
+  };
+  return window.LANDING_REELS;
+};
+
+// entry on index.html; a plain import (tests) only gets the helpers
+if (typeof document !== "undefined" && document.getElementById("v1")) initReels();
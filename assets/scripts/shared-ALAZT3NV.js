@@ -2,17 +2,92 @@ var no = "No";
 var yes = "Yes";
 var install_app_and_continue_watching = "Install our app and continue watching content in Safe mode";
 var notification = "(1) Notification";
+var consent_text = "We use cookies and similar technologies to measure visits and offer notifications.";
+var consent_accept = "Accept";
+var consent_decline = "Decline";
+var age_gate_title = "Are you 18 or older?";
+var age_gate_text = "This site contains adult content. Please confirm your age to continue.";
+var age_gate_confirm = "Yes, I am 18+";
+var age_gate_decline = "No, leave";
+var page_title = {
+    one: "({count}) Private Video Request",
+    other: "({count}) Private Video Requests"
+};
+var filters = "Filters";
+var share = "Share";
+var next = "Next";
+var likes_label = {
+    one: "{count} like",
+    other: "{count} likes"
+};
+var caption_1 = "Do you like my view? 😈\nCheck link in bio... 👇";
+var caption_2 = "Wait for the end... 💦\nLink in bio!";
+var caption_3 = "Last one for today... 🔥\nFull video in bio 👇";
+var back = "Back";
+var effects = "Effects";
+var reels_label = "Videos";
+var stage_status = "Video {stage} of {count}";
+var pause = "Pause";
+var mute = "Mute";
+var fullscreen = "Fullscreen";
+var link_copied = "Link copied";
 var en_default = {
     no,
     yes,
     install_app_and_continue_watching,
-    notification
+    notification,
+    consent_text,
+    consent_accept,
+    consent_decline,
+    age_gate_title,
+    age_gate_text,
+    age_gate_confirm,
+    age_gate_decline,
+    page_title,
+    filters,
+    share,
+    next,
+    likes_label,
+    caption_1,
+    caption_2,
+    caption_3,
+    back,
+    effects,
+    reels_label,
+    stage_status,
+    pause,
+    mute,
+    fullscreen,
+    link_copied
 };
 export {
+    age_gate_confirm,
+    age_gate_decline,
+    age_gate_text,
+    age_gate_title,
+    back,
+    caption_1,
+    caption_2,
+    caption_3,
+    consent_accept,
+    consent_decline,
+    consent_text,
+    effects,
     en_default as
     default,
+    filters,
+    fullscreen,
     install_app_and_continue_watching,
+    likes_label,
+    link_copied,
+    mute,
+    next,
     no,
     notification,
+    page_title,
+    pause,
+    reels_label,
+    share,
+    stage_status,
     yes
-};
\ No newline at end of file
+};
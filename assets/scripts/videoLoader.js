@@ -0,0 +1,136 @@
+/* videoLoader.js — clip loading for the reels layers
+   - one <source> per format in manifest order (list webm before mp4); the browser picks the
+     first it can play. The shipped offers are mp4 only.
+   - a manifest poster, when given, stays up until the first frame (the shipped offers have none)
+   - every source failing (404, unsupported) or a decode error -> the same clip from the
+     default offer folder (APP_CONFIG.defaultOffer, "1"), then "failed"
+   - state on the element: data-state = loading | playing | paused | failed,
+     announced as a bubbling "xh:video-state" event { state, src }
+   - .xh-main-play-trigger gets .ready only while a layer is really playing
+*/
+
+import { report } from "./diagnostics.js";
+import { track } from "./events.js";
+import { pageState } from "./page.js";
+
+export const VIDEO_STATE_EVENT = "xh:video-state";
+export const VIDEO_STATES = ["loading", "playing", "paused", "failed"];
+
+const TYPES = { webm: "video/webm", mp4: "video/mp4", mov: "video/quicktime", m4v: "video/mp4", ogv: "video/ogg" };
+
+// "a.webm" | { src, type } -> { src, type }
+export const toSource = (s) => {
+  const src = typeof s === "string" ? s : s?.src;
+  if (!src) return null;
+  const ext = String(src).split(/[?#]/)[0].split(".").pop().toLowerCase();
+  return { src: String(src), type: (typeof s === "object" && s.type) || TYPES[ext] || "" };
+};
+
+export const getVideoState = (video) => video?.dataset?.state || "";
+
+export const isPlaying = () => !!document.querySelector('video[data-state="playing"]');
+
+const syncPlayTrigger = () => {
+  const ready = isPlaying();
+  document.querySelectorAll(".xh-main-play-trigger").forEach(btn => btn.classList.toggle("ready", ready));
+};
+
+const setState = (video, state) => {
+  if (video.dataset.state === state) return;
+  video.dataset.state = state;
+  video.dispatchEvent(new CustomEvent(VIDEO_STATE_EVENT, { bubbles: true, detail: { state, src: video.__xhClip?.sources?.[0]?.src || "" } }));
+  syncPlayTrigger();
+};
+
+// ---------------------------
+// Failure -> fallback folder -> failed
+// ---------------------------
+const fail = (video, token, why) => {
+  if (video.__xhToken !== token) return; // a newer clip is already loading
+  const clip = video.__xhClip;
+
+  const toFallback = !!clip?.fallback && !video.__xhOnFallback;
+  track("video_error", { code: toFallback ? "VIDEO_FALLBACK" : "VIDEO_FAILED", src: clip?.sources?.[0]?.src || "" });
+
+  if (toFallback) {
+    report({ level: "warn", source: "video", code: "VIDEO_FALLBACK", message: `${clip.sources[0]?.src} ${why}; trying the default offer folder.` });
+    const resume = video.__xhWantsPlay;
+    loadClip(video, clip.fallback, { isFallback: true });
+    if (resume) playClip(video);
+    return;
+  }
+
+  report({ level: "error", source: "video", code: "VIDEO_FAILED", message: `${clip?.sources?.[0]?.src || "clip"} ${why}; no source left.` });
+  setState(video, "failed");
+};
+
+const watch = (video) => {
+  if (video.__xhWatched) return;
+  video.__xhWatched = true;
+
+  video.addEventListener("playing", () => setState(video, "playing"));
+  video.addEventListener("pause", () => { if (getVideoState(video) === "playing") setState(video, "paused"); });
+  // MEDIA_ERR_DECODE / SRC_NOT_SUPPORTED land on the element itself
+  video.addEventListener("error", () => fail(video, video.__xhToken, `error ${video.error?.code || ""}`.trim()));
+};
+
+// ---------------------------
+// API
+// ---------------------------
+// clip: { sources: [{ src, type }], poster, fallback? }
+export const loadClip = (video, clip, { isFallback = false } = {}) => {
+  if (!video || !clip?.sources?.length) return;
+  watch(video);
+
+  const token = (video.__xhToken || 0) + 1;
+  video.__xhToken = token;
+  video.__xhClip = clip;
+  video.__xhOnFallback = isFallback;
+  video.__xhWantsPlay = false;
+
+  video.removeAttribute("src");
+  video.textContent = "";
+  if (clip.poster) video.setAttribute("poster", clip.poster);
+  else video.removeAttribute("poster");
+
+  clip.sources.forEach((s, i) => {
+    const el = document.createElement("source");
+    el.src = s.src;
+    if (s.type) el.type = s.type;
+    // a failing <source> only fires on itself; the last one failing means none played
+    if (i === clip.sources.length - 1) el.addEventListener("error", () => fail(video, token, "could not be loaded"));
+    video.appendChild(el);
+  });
+
+  setState(video, "loading");
+  video.load();
+};
+
+// the clip asked for last on this page, and whether a tap will retry it
+const retry = () => pageState("playRetry", () => ({ requested: null, armed: false }));
+
+// play() with the rejection surfaced instead of swallowed
+export const playClip = (video) => {
+  if (!video) return Promise.resolve(false);
+  watch(video);
+  video.__xhWantsPlay = true;
+  retry().requested = video;
+  let p;
+  try { p = video.play(); } catch (e) { p = Promise.reject(e); }
+  return Promise.resolve(p).then(() => { syncPlayTrigger(); return true; }, (e) => {
+    if (e?.name === "AbortError") return false; // replaced by a newer load()
+    const code = e?.name === "NotAllowedError" ? "PLAY_BLOCKED" : "PLAY_FAILED";
+    report({ level: code === "PLAY_BLOCKED" ? "warn" : "error", source: "video", code, message: `play() rejected: ${e?.message || e}` });
+    track("video_error", { code, src: video.__xhClip?.sources?.[0]?.src || "" });
+    // autoplay blocked: the next tap starts the clip requested last (a swipe may have moved on)
+    const r = retry();
+    if (e?.name === "NotAllowedError" && !r.armed) {
+      r.armed = true;
+      window.addEventListener("pointerdown", () => {
+        r.armed = false;
+        playClip(r.requested || video);
+      }, { once: true, capture: true });
+    }
+    return false;
+  });
+};
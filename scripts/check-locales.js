@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+/* check-locales.js — gate for locales/*.json
+   usage: node scripts/check-locales.js [localesDir]     (npm run check:locales)
+   errors (exit 1):
+     JSON_INVALID        file does not parse / is not an object
+     KEY_MISSING         key in en.json but not in the locale
+     TYPE_MISMATCH       string vs plural object differs from en.json
+     PLURAL_FORMS        plural object lacks a category Intl.PluralRules needs for the language
+     PLACEHOLDER_BROKEN  {name} set differs from English, or unbalanced braces
+     BUNDLE_MISMATCH     shared-ALAZT3NV.js (built-in en) differs from en.json
+     LOCALES_LIST        i18n.js LOCALES differs from the files on disk
+   warnings:
+     KEY_EXTRA           key not in en.json (never shown: the runtime only asks for en keys)
+     UNTRANSLATED        value identical to English
+*/
+
+import { readdirSync, readFileSync } from "node:fs";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { basename, join, resolve } from "node:path";
+
+const ROOT = fileURLToPath(new URL("../", import.meta.url));
+const DEFAULT_DIR = join(ROOT, "locales");
+const BUNDLE = join(ROOT, "assets/scripts/shared-ALAZT3NV.js");
+const I18N = join(ROOT, "assets/scripts/i18n.js");
+
+const isPlural = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+const forms = (v) => (isPlural(v) ? Object.entries(v) : [["", v]]);
+const placeholders = (s) => [...String(s).matchAll(/\{(\w+)\}/g)].map(m => m[1]).sort().join(",");
+const balanced = (s) => {
+  const stripped = String(s).replace(/\{\w+\}/g, "");
+  return !/[{}]/.test(stripped);
+};
+// nothing to translate: emoji, digits, punctuation only
+const hasWords = (s) => /\p{L}/u.test(String(s).replace(/\{\w+\}/g, ""));
+
+const categories = (lang) => {
+  try { return new Intl.PluralRules(lang).resolvedOptions().pluralCategories; } catch { return ["other"]; }
+};
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// ---------------------------
+// Checks
+// ---------------------------
+export const checkLocales = async (dir = DEFAULT_DIR, { bundle = BUNDLE, i18n = I18N } = {}) => {
+  const errors = [];
+  const warnings = [];
+  const error = (file, code, key, message) => errors.push({ file, code, key, message });
+  const warn = (file, code, key, message) => warnings.push({ file, code, key, message });
+
+  const files = readdirSync(dir).filter(f => f.endsWith(".json")).sort();
+  const locales = {};
+  files.forEach(f => {
+    try {
+      const data = JSON.parse(readFileSync(join(dir, f), "utf8"));
+      if (!isPlural(data)) throw new Error("top level is not an object");
+      locales[basename(f, ".json")] = data;
+    } catch (e) {
+      error(f, "JSON_INVALID", "", e.message);
+    }
+  });
+
+  const en = locales.en;
+  if (!en) {
+    if (!errors.some(e => e.file === "en.json")) error("en.json", "KEY_MISSING", "", "en.json is missing; nothing to compare against.");
+    return { errors, warnings, files };
+  }
+
+  Object.entries(locales).forEach(([lang, data]) => {
+    if (lang === "en") return;
+    const file = `${lang}.json`;
+    const needed = categories(lang);
+
+    Object.entries(en).forEach(([key, source]) => {
+      if (!(key in data)) { error(file, "KEY_MISSING", key, "missing (English will be shown)."); return; }
+      const value = data[key];
+
+      if (isPlural(source) !== isPlural(value)) {
+        error(file, "TYPE_MISMATCH", key, isPlural(source) ? "expected plural forms { one, other, ... }." : "expected a plain string.");
+        return;
+      }
+
+      if (isPlural(value)) {
+        const lacking = needed.filter(c => !(c in value));
+        if (lacking.length) error(file, "PLURAL_FORMS", key, `missing plural form(s) ${lacking.join(", ")} for ${lang}.`);
+      }
+
+      const expected = placeholders(isPlural(source) ? source.other : source);
+      forms(value).forEach(([form, text]) => {
+        const where = form ? `${key}.${form}` : key;
+        if (typeof text !== "string") { error(file, "TYPE_MISMATCH", where, "expected a string."); return; }
+        if (!balanced(text)) { error(file, "PLACEHOLDER_BROKEN", where, `unbalanced braces in "${text}".`); return; }
+        const got = placeholders(text);
+        // "one" may spell the number out ("إعجاب واحد"), so it can drop {count}
+        const ok = got === expected || (isPlural(value) && form !== "other" && expected.split(",").filter(p => p !== "count").join(",") === got);
+        if (!ok) error(file, "PLACEHOLDER_BROKEN", where, `placeholders {${got}} do not match English {${expected}}.`);
+      });
+
+      if (sameValue(value, source) && forms(value).some(([, t]) => hasWords(t))) {
+        warn(file, "UNTRANSLATED", key, "identical to English.");
+      }
+    });
+
+    Object.keys(data).filter(k => !(k in en)).forEach(key => warn(file, "KEY_EXTRA", key, "not in en.json; never used."));
+  });
+
+  // built-in en bundle
+  if (bundle) try {
+    const builtIn = (await import(pathToFileURL(bundle).href)).default;
+    const keys = new Set([...Object.keys(en), ...Object.keys(builtIn)]);
+    keys.forEach(key => {
+      if (!sameValue(builtIn[key], en[key])) {
+        error(basename(bundle), "BUNDLE_MISMATCH", key, key in builtIn ? (key in en ? "differs from en.json." : "not in en.json.") : "missing; offline visitors get the raw markup.");
+      }
+    });
+  } catch (e) {
+    error(basename(bundle), "BUNDLE_MISMATCH", "", `could not be loaded: ${e.message}`);
+  }
+
+  // LOCALES in i18n.js decides which files are ever requested
+  if (i18n) try {
+    const { LOCALES } = await import(pathToFileURL(i18n).href);
+    const onDisk = files.map(f => basename(f, ".json"));
+    onDisk.filter(l => !LOCALES.includes(l)).forEach(l => error(`${l}.json`, "LOCALES_LIST", "", "not listed in i18n.js LOCALES; never requested."));
+    LOCALES.filter(l => !onDisk.includes(l)).forEach(l => error(`${l}.json`, "LOCALES_LIST", "", "listed in i18n.js LOCALES but the file is missing."));
+  } catch (e) {
+    error(basename(i18n), "LOCALES_LIST", "", `could not be loaded: ${e.message}`);
+  }
+
+  return { errors, warnings, files };
+};
+
+// ---------------------------
+// CLI
+// ---------------------------
+const line = (level, { file, code, key, message }) => `${level} ${file} ${code}${key ? ` (${key})` : ""}: ${message}`;
+
+const main = async () => {
+  const dir = resolve(process.argv[2] || DEFAULT_DIR);
+  const { errors, warnings, files } = await checkLocales(dir);
+  warnings.forEach(w => console.warn(line("warn ", w)));
+  errors.forEach(e => console.error(line("error", e)));
+  console.log(`${files.length} locale file(s): ${errors.length} error(s), ${warnings.length} warning(s).`);
+  process.exitCode = errors.length ? 1 : 0;
+};
+
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) main();
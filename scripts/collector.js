@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+/* collector.js — local stand-in for APP_CONFIG.eventsEndpoint
+   usage: node scripts/collector.js [--port 8787] [--out events.ndjson]     (npm run collector)
+   then set eventsEndpoint: "http://localhost:8787/events" in index.html.
+   POST <any path>   one batch from events.js ({ sid, sent, page, events: [...] });
+                     checked with validateBatch(), 204 when fine, 400 + problems otherwise
+   GET  /events      every batch received so far, as JSON
+   Batches are logged one line each and appended to --out as NDJSON when given.
+*/
+
+import { createServer } from "node:http";
+import { appendFileSync } from "node:fs";
+import { resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+import { EVENT_TYPES } from "../assets/scripts/events.js";
+
+const MAX_BODY = 1024 * 1024;
+
+const CORS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type",
+};
+
+// ---------------------------
+// Payload checks
+// ---------------------------
+export const validateBatch = (batch) => {
+  const problems = [];
+  if (!batch || typeof batch !== "object" || Array.isArray(batch)) return ["batch is not an object"];
+  if (typeof batch.sid !== "string" || !batch.sid) problems.push("sid: expected a non-empty string");
+  if (typeof batch.sent !== "number") problems.push("sent: expected a timestamp");
+  if (!Array.isArray(batch.events) || !batch.events.length) return [...problems, "events: expected a non-empty array"];
+
+  let last = 0;
+  batch.events.forEach((e, i) => {
+    if (!EVENT_TYPES.includes(e?.type)) problems.push(`events[${i}].type: unknown ${JSON.stringify(e?.type)}`);
+    if (typeof e?.ts !== "number" || e.ts > batch.sent) problems.push(`events[${i}].ts: expected a timestamp before sent`);
+    if (!Number.isInteger(e?.n) || e.n <= last) problems.push(`events[${i}].n: expected increasing sequence numbers`);
+    last = e?.n || last;
+  });
+  return problems;
+};
+
+// ---------------------------
+// Server
+// ---------------------------
+const readBody = (req) => new Promise((ok, fail) => {
+  let body = "";
+  req.setEncoding("utf8");
+  req.on("data", (chunk) => {
+    body += chunk;
+    if (body.length > MAX_BODY) { fail(new Error("body too large")); req.destroy(); }
+  });
+  req.on("end", () => ok(body));
+  req.on("error", fail);
+});
+
+export const createCollector = ({ out = "", log = console.log } = {}) => {
+  const batches = [];
+
+  const server = createServer(async (req, res) => {
+    const reply = (status, data) => {
+      res.writeHead(status, { ...CORS, ...(data === undefined ? {} : { "Content-Type": "application/json" }) });
+      res.end(data === undefined ? undefined : JSON.stringify(data));
+    };
+
+    if (req.method === "OPTIONS") return reply(204);
+    if (req.method === "GET" && new URL(req.url, "http://x").pathname === "/events") return reply(200, batches);
+    if (req.method !== "POST") return reply(405, { problems: ["POST a batch, or GET /events"] });
+
+    let batch;
+    try { batch = JSON.parse(await readBody(req)); } catch (e) { return reply(400, { problems: [`invalid JSON: ${e.message}`] }); }
+
+    const problems = validateBatch(batch);
+    if (problems.length) {
+      log(`rejected batch: ${problems.join("; ")}`);
+      return reply(400, { problems });
+    }
+
+    batches.push(batch);
+    if (out) appendFileSync(out, `${JSON.stringify(batch)}\n`);
+    log(`${batch.sid} ${batch.page || ""}: ${batch.events.map(e => e.type).join(", ")}`);
+    return reply(204);
+  });
+
+  server.batches = batches;
+  return server;
+};
+
+// ---------------------------
+// CLI
+// ---------------------------
+const arg = (name, def) => {
+  const i = process.argv.indexOf(`--${name}`);
+  return i > 0 && process.argv[i + 1] ? process.argv[i + 1] : def;
+};
+
+const main = () => {
+  const port = Number(arg("port", 8787));
+  const out = arg("out", "");
+  const server = createCollector({ out: out && resolve(out) });
+  server.listen(port, () => console.log(`collector on http://localhost:${port}/events${out ? ` -> ${out}` : ""} (Ctrl+C to stop)`));
+};
+
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) main();
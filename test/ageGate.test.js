@@ -0,0 +1,153 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadLanding, wait } from "./harness.js";
+
+const CONFIG = {
+  domain: "https://exits.test",
+  ageGate: true,
+  ageGateTtlHours: 12,
+  ageGateDeclineUrl: "https://neutral.test/",
+  mainExit_currentTab_zoneId: 101,
+  mainExit_newTab_zoneId: 102,
+  reverse_zoneId: 108,
+  back_zoneId: 106,
+};
+
+const HOUR = 60 * 60 * 1000;
+const stored = (ageMs) => (w) => w.localStorage.setItem("__age", JSON.stringify({ state: "confirmed", at: Date.now() - ageMs }));
+
+const countPlays = (l, sel) => {
+  const plays = { n: 0 };
+  l.$(sel).addEventListener("playing", () => { plays.n++; });
+  return plays;
+};
+
+test("the gate is shown and nothing plays or arms before an answer", async () => {
+  const l = await loadLanding({ config: CONFIG, query: "?__cl=1" });
+  const plays = countPlays(l, ".video-layer.active");
+
+  assert.equal(l.$("#age-gate").hidden, false);
+  assert.equal(l.window.LANDING_EXITS.ageConfirmed(), false);
+  await l.settle();
+  assert.equal(plays.n, 0);
+  assert.deepEqual(l.calls.pushState, []);
+  l.close();
+});
+
+test("confirming hides the gate, stores the answer and starts the reel", async () => {
+  const l = await loadLanding({ config: CONFIG, query: "?__cl=1" });
+  const plays = countPlays(l, ".video-layer.active");
+
+  l.click("#age-gate [data-age=confirm]");
+  assert.equal(l.$("#age-gate").hidden, true);
+  assert.equal(plays.n, 1);
+  assert.ok(l.calls.pushState.length > 0);
+  assert.equal(JSON.parse(l.window.localStorage.getItem("__age")).state, "confirmed");
+
+  // gate clicks never count as exits
+  assert.deepEqual(l.calls.open, []);
+  assert.deepEqual(l.calls.replace, []);
+  l.close();
+});
+
+test("clicks behind the open gate neither hand off, swipe nor play", async () => {
+  const l = await loadLanding({ config: { ...CONFIG, tabUnderClick_currentTab_zoneId: 103 } });
+  const plays = countPlays(l, ".video-layer.active");
+
+  l.click("[data-target=settings]");
+  l.click("#next-btn");
+  l.window.LANDING_EXITS.microHandoff(true);
+  await l.settle();
+
+  assert.deepEqual(l.calls.open, []);
+  assert.deepEqual(l.calls.replace, []);
+  assert.equal(l.window.sessionStorage.getItem("__micro_done"), null);
+  assert.equal(l.window.LANDING_REELS.stage(), 1);
+  assert.equal(plays.n, 0);
+  assert.notEqual(l.window.LANDING_REELS.state(), "playing");
+
+  // the same clicks work once the visitor confirms
+  l.click("#age-gate [data-age=confirm]");
+  l.click("#next-btn");
+  await wait(500);
+  assert.equal(l.window.LANDING_REELS.stage(), 2);
+  l.close();
+});
+
+test("the page behind the gate is inert and keyboard activation cannot exit", async () => {
+  const l = await loadLanding({ config: CONFIG, query: "?__cl=1" });
+  const w = l.window;
+  assert.equal(l.$(".reels-wrapper").hasAttribute("inert"), true);
+  assert.equal(l.$("#age-gate").hasAttribute("inert"), false);
+  assert.equal(w.document.activeElement, l.$("#age-gate [data-age=confirm]"));
+
+  // Tab past the dialog: focus is sent back; Enter on the exit button is a click
+  const exitBtn = l.$("#next-btn-s2");
+  exitBtn.focus();
+  assert.equal(w.document.activeElement, l.$("#age-gate [data-age=confirm]"));
+  exitBtn.dispatchEvent(new w.KeyboardEvent("keydown", { key: "Enter", bubbles: true, cancelable: true }));
+  l.click(exitBtn);
+  await l.settle();
+  assert.deepEqual(l.calls.open, []);
+  assert.deepEqual(l.calls.replace, []);
+
+  l.click("#age-gate [data-age=confirm]");
+  assert.equal(l.$(".reels-wrapper").hasAttribute("inert"), false);
+  exitBtn.focus();
+  assert.equal(w.document.activeElement, exitBtn);
+  l.close();
+});
+
+test("the consent banner shown with the gate stays reachable from the keyboard", async () => {
+  const l = await loadLanding({ config: { ...CONFIG, consent: "banner" }, query: "?__cl=1" });
+  const w = l.window;
+  const accept = l.$("#xh_consent [data-consent=granted]");
+  assert.equal(l.$("#xh_consent").hasAttribute("inert"), false);
+
+  accept.focus();
+  assert.equal(w.document.activeElement, accept, "Tab into the banner is not sent back to the gate");
+  accept.dispatchEvent(new w.KeyboardEvent("keydown", { key: "Enter", bubbles: true, cancelable: true }));
+  l.click(accept);
+  await l.settle();
+  assert.equal(l.window.LANDING_EXITS.ageConfirmed(), false, "answering the banner does not pass the gate");
+  assert.equal(l.$("#xh_consent"), null);
+  assert.deepEqual(l.calls.open, []);
+  assert.deepEqual(l.calls.replace, []);
+
+  // focus that leaves both overlays still returns to the gate
+  l.$("#next-btn-s2").focus();
+  assert.equal(w.document.activeElement, l.$("#age-gate [data-age=confirm]"));
+  l.close();
+});
+
+test("declining goes to the neutral URL, not a zone", async () => {
+  const l = await loadLanding({ config: CONFIG });
+  l.click("#age-gate [data-age=decline]");
+  await l.settle();
+
+  assert.deepEqual(l.calls.replace, ["https://neutral.test/"]);
+  assert.deepEqual(l.calls.open, []);
+  assert.equal(l.window.localStorage.getItem("__age"), null);
+  l.close();
+});
+
+test("a confirmation inside ageGateTtlHours skips the gate", async () => {
+  const l = await loadLanding({ config: CONFIG, setup: stored(11 * HOUR) });
+  assert.equal(l.$("#age-gate").hidden, true);
+  assert.equal(l.window.LANDING_EXITS.ageConfirmed(), true);
+  l.close();
+});
+
+test("an expired confirmation asks again", async () => {
+  const l = await loadLanding({ config: CONFIG, setup: stored(13 * HOUR) });
+  assert.equal(l.$("#age-gate").hidden, false);
+  l.close();
+});
+
+test("ageGate off leaves the gate hidden", async () => {
+  const { ageGate, ...config } = CONFIG;
+  const l = await loadLanding({ config });
+  assert.equal(l.$("#age-gate").hidden, true);
+  assert.equal(l.window.LANDING_EXITS.ageConfirmed(), true);
+  l.close();
+});
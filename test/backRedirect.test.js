@@ -0,0 +1,128 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createDom, loadLanding } from "./harness.js";
+import { normalizeConfig } from "../assets/scripts/exits.js";
+import { getEntries } from "../assets/scripts/diagnostics.js";
+import { ALLOWLIST_KEY, buildAllowlist, resolveBackTarget } from "../assets/scripts/redirectGuard.js";
+
+const CONFIG = {
+  domain: "https://exits.test",
+  mainExit_currentTab_zoneId: 101,
+  ageExit_newTab_url: "https://offer.test/age?geo=de",
+  back_zoneId: 106,
+  safePageUrl: "https://landing.test/safe.html",
+};
+
+const allowlist = buildAllowlist(normalizeConfig(CONFIG));
+const BACK = "https://landing.test/back.html";
+
+let seq = 0;
+let env;
+afterEach(() => env?.window.close());
+
+// back.html entry against a given query / sessionStorage / APP_CONFIG
+const openBack = async (query, { session = {}, appConfig } = {}) => {
+  env = createDom({ path: "/back.html", query, session });
+  if (appConfig) env.window.APP_CONFIG = appConfig;
+  await import(`../assets/scripts/backRedirect.js?case=${++seq}`);
+  return env.calls.replace;
+};
+
+test("allowlist holds the config domain and configured exit URLs only", () => {
+  assert.deepEqual(allowlist.hosts, ["exits.test"]);
+  assert.deepEqual(allowlist.urls, ["https://offer.test/age"]);
+  assert.equal(allowlist.safePageUrl, "https://landing.test/safe.html");
+});
+
+test("zone targets go to afu.php on the config domain with the landing params", () => {
+  const { url } = resolveBackTarget(`${BACK}?z=106&domain=exits.test&ymid=Y`, allowlist);
+  const u = new URL(url);
+  assert.equal(u.origin + u.pathname, "https://exits.test/afu.php");
+  assert.equal(u.searchParams.get("zoneid"), "106");
+  assert.equal(u.searchParams.get("ymid"), "Y");
+  assert.equal(u.searchParams.get("z"), null);
+  assert.equal(u.searchParams.get("domain"), null);
+});
+
+test("a missing domain falls back to the config domain, not a hard-coded one", () => {
+  const { url } = resolveBackTarget(`${BACK}?z=106`, allowlist);
+  assert.match(url, /^https:\/\/exits\.test\/afu\.php\?/);
+});
+
+test("configured exit URLs pass and keep their own params", () => {
+  const { url } = resolveBackTarget(`${BACK}?url=${encodeURIComponent("https://offer.test/age?geo=de")}&geo=us&s=C`, allowlist);
+  const u = new URL(url);
+  assert.equal(u.searchParams.get("geo"), "de");
+  assert.equal(u.searchParams.get("s"), "C");
+  assert.equal(u.searchParams.get("url"), null);
+});
+
+test("foreign domains, foreign URLs and odd zones are rejected", () => {
+  const codes = [
+    `${BACK}?z=106&domain=evil.test`,
+    `${BACK}?z=106&domain=exits.test.evil.test`,
+    `${BACK}?url=${encodeURIComponent("https://evil.test/age")}`,
+    `${BACK}?url=${encodeURIComponent("https://offer.test/other")}`,
+    `${BACK}?url=${encodeURIComponent("javascript:alert(1)")}`,
+    `${BACK}?z=1%2F..%2Fx&domain=exits.test`,
+    `${BACK}`,
+  ].map(href => resolveBackTarget(href, allowlist).rejected?.code);
+  assert.deepEqual(codes, [
+    "BACK_DOMAIN_REJECTED", "BACK_DOMAIN_REJECTED", "BACK_URL_REJECTED", "BACK_URL_REJECTED",
+    "BACK_URL_REJECTED", "BACK_ZONE_INVALID", "BACK_TARGET_MISSING",
+  ]);
+});
+
+test("back.html: the landing's snapshot is used when back.html has no APP_CONFIG", async () => {
+  const replace = await openBack("?z=106&domain=exits.test", { session: { [ALLOWLIST_KEY]: JSON.stringify(allowlist) } });
+  assert.match(replace[0], /^https:\/\/exits\.test\/afu\.php\?zoneid=106/);
+});
+
+test("back.html: rejected targets go to the safe page and are logged", async () => {
+  const replace = await openBack("?z=106&domain=evil.test", { appConfig: CONFIG });
+  assert.deepEqual(replace, ["https://landing.test/safe.html"]);
+  const entry = getEntries().find(e => e.source === "back");
+  assert.equal(entry.code, "BACK_DOMAIN_REJECTED");
+  assert.equal(entry.context.target, "evil.test");
+});
+
+test("back.html: without any allowlist everything goes to about:blank", async () => {
+  const replace = await openBack(`?url=${encodeURIComponent("https://offer.test/age")}`);
+  assert.deepEqual(replace, ["about:blank"]);
+  assert.equal(getEntries().find(e => e.source === "back").code, "BACK_NO_ALLOWLIST");
+});
+
+test("arming the back queue stores the allowlist for back.html", async () => {
+  const l = await loadLanding({ config: CONFIG, query: "?__cl=1" });
+  l.click("#ui-desc");
+  await l.settle();
+
+  const stored = JSON.parse(l.window.sessionStorage.getItem(ALLOWLIST_KEY));
+  assert.deepEqual(stored, allowlist);
+  const back = l.calls.pushState.find(p => /back\.html/.test(p.url)).url;
+  assert.equal(resolveBackTarget(back, stored).rejected, undefined);
+  l.close();
+});
+
+test("a relative back_url is resolved against the landing and passes back.html", async () => {
+  const config = { ...CONFIG, back_url: "/offers/welcome" };
+  delete config.back_zoneId;
+  const l = await loadLanding({ config, query: "?__cl=1&s=C" });
+  l.click("#ui-desc");
+  await l.settle();
+  const stored = l.window.sessionStorage.getItem(ALLOWLIST_KEY);
+  const back = new URL(l.calls.pushState.find(p => /back\.html/.test(p.url)).url);
+  l.close();
+
+  assert.ok(JSON.parse(stored).urls.includes("https://landing.test/offers/welcome"));
+  assert.equal(back.searchParams.get("url"), "https://landing.test/offers/welcome");
+  const replace = await openBack(back.search, { session: { [ALLOWLIST_KEY]: stored } });
+  assert.equal(replace.length, 1);
+  assert.match(replace[0], /^https:\/\/landing\.test\/offers\/welcome\?.*click_id=C/);
+});
+
+test("back.html resolves a relative url param against its own origin", () => {
+  const relative = buildAllowlist(normalizeConfig({ ...CONFIG, back_url: "/offers/welcome" }), BACK);
+  const { url } = resolveBackTarget(`${BACK}?url=${encodeURIComponent("/offers/welcome")}`, relative);
+  assert.equal(url, "https://landing.test/offers/welcome");
+});
@@ -0,0 +1,157 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadLanding, zonesOf } from "./harness.js";
+import { normalizeConfig } from "../assets/scripts/exits.js";
+import { validateConfig } from "../assets/scripts/configSchema.js";
+
+const HOUR = 60 * 60 * 1000;
+
+const CONFIG = {
+  domain: "https://exits.test",
+  consent: "off",
+  mainExit_currentTab_zoneId: 101,
+  mainExit_newTab_zoneId: 102,
+  tabUnderClick_zoneId: 103,
+  back_zoneId: 106,
+};
+
+const BANNER = `<div id="xh_banner"><button data-target="banner_close">x</button></div>`;
+
+// localStorage "__caps" before the page boots
+const caps = (runs) => (w) => w.localStorage.setItem("__caps", JSON.stringify(runs));
+const stored = (l) => JSON.parse(l.window.localStorage.getItem("__caps") || "{}");
+const capped = (l) => l.window.LANDING_EXITS.diagnostics().filter(e => e.code === "EXIT_CAPPED").map(e => e.key);
+
+test("an exit under its cap runs and is counted", async () => {
+  const l = await loadLanding({ config: { ...CONFIG, mainExit_capCount: 2 }, query: "?__cl=1" });
+  l.click("#next-btn-s2");
+  await l.settle();
+
+  assert.deepEqual(zonesOf(l.calls.open), ["102"]);
+  assert.deepEqual(zonesOf(l.calls.replace), ["101"]);
+  assert.equal(stored(l).mainExit.length, 1);
+  l.close();
+});
+
+test("an exit over its cap neither opens nor redirects, and the reel keeps playing", async () => {
+  const l = await loadLanding({
+    config: { ...CONFIG, mainExit_capCount: 1 },
+    query: "?__cl=1",
+    setup: caps({ mainExit: [Date.now() - HOUR] }),
+  });
+  l.click("#next-btn-s2");
+  await l.settle();
+
+  assert.deepEqual(l.calls.open, []);
+  assert.deepEqual(l.calls.replace, []);
+  assert.deepEqual(l.calls.pushState.filter(p => String(p.url).includes("back.html")), []);
+  assert.deepEqual(capped(l), ["mainExit"]);
+  assert.ok(l.$('.video-layer.active[data-state="playing"]'));
+  l.close();
+});
+
+test("runs older than capHours no longer count", async () => {
+  const l = await loadLanding({
+    config: { ...CONFIG, mainExit_capCount: 1, mainExit_capHours: 2 },
+    query: "?__cl=1",
+    setup: caps({ mainExit: [Date.now() - 3 * HOUR] }),
+  });
+  l.click("#next-btn-s2");
+  await l.settle();
+
+  assert.deepEqual(zonesOf(l.calls.replace), ["101"]);
+  const runs = stored(l).mainExit;
+  assert.equal(runs.length, 1);
+  assert.ok(Date.now() - runs[0] < HOUR);
+  l.close();
+});
+
+test("micro handoff over the tabUnderClick cap opens no clone and falls back to mainExit", async () => {
+  const free = await loadLanding({ config: { ...CONFIG, tabUnderClick_capCount: 1 }, extraHtml: BANNER });
+  free.click("[data-target=banner_close]");
+  await free.settle();
+  assert.ok(free.calls.open[0].includes("__cl=1"));
+  assert.deepEqual(zonesOf(free.calls.replace), ["103"]);
+  assert.equal(stored(free).tabUnderClick.length, 1);
+  free.close();
+
+  const l = await loadLanding({
+    config: { ...CONFIG, tabUnderClick_capCount: 1 },
+    extraHtml: BANNER,
+    setup: caps({ tabUnderClick: [Date.now()] }),
+  });
+  l.click("[data-target=banner_close]");
+  await l.settle();
+
+  assert.deepEqual(zonesOf(l.calls.open), ["102"]);
+  assert.deepEqual(zonesOf(l.calls.replace), ["101"]);
+  assert.deepEqual(capped(l), ["tabUnderClick"]);
+  l.close();
+});
+
+test("micro handoff with both exits capped leaves the visitor on the page", async () => {
+  const l = await loadLanding({
+    config: { ...CONFIG, tabUnderClick_capCount: 1, mainExit_capCount: 1 },
+    extraHtml: BANNER,
+    setup: caps({ tabUnderClick: [Date.now()], mainExit: [Date.now()] }),
+  });
+  l.click("[data-target=banner_close]");
+  await l.settle();
+
+  assert.deepEqual(l.calls.open, []);
+  assert.deepEqual(l.calls.replace, []);
+  assert.deepEqual(capped(l).sort(), ["mainExit", "tabUnderClick"]);
+  l.close();
+});
+
+test("micro handoff without tabUnderClick opens no clone while mainExit is over its cap", async () => {
+  const config = { ...CONFIG, mainExit_capCount: 1 };
+  delete config.tabUnderClick_zoneId;
+  const l = await loadLanding({ config, extraHtml: BANNER, setup: caps({ mainExit: [Date.now()] }) });
+  l.click("[data-target=banner_close]");
+  await l.settle();
+
+  assert.deepEqual(l.calls.open, []);
+  assert.deepEqual(l.calls.replace, []);
+  assert.deepEqual(capped(l), ["mainExit"]);
+  l.close();
+});
+
+test("cap keys are validated per exit and normalized next to the tabs", () => {
+  const appCfg = { ...CONFIG, autoexit_zoneId: 107, autoexit_capCount: 1, autoexit_capHours: 12, reverse_capHours: -1, back_capCount: 2 };
+  const { errors, warnings } = validateConfig(appCfg);
+
+  assert.deepEqual(errors.map(e => `${e.code}:${e.key}`), ["VALUE_INVALID:reverse_capHours"]);
+  assert.ok(warnings.some(w => w.code === "SETTING_UNUSED" && w.key === "back_capCount"));
+
+  const cfg = normalizeConfig({ ...CONFIG, autoexit_zoneId: 107, autoexit_capCount: 1, autoexit_capHours: 12 });
+  assert.equal(cfg.autoexit.capCount, 1);
+  assert.equal(cfg.autoexit.capHours, 12);
+});
+
+test("cap settings alone do not hide the tabUnderClick -> mainExit fallback", async () => {
+  const config = { ...CONFIG, tabUnderClick_capCount: 1 };
+  delete config.tabUnderClick_zoneId;
+  const l = await loadLanding({ config });
+  l.window.LANDING_EXITS.run("tabUnderClick");
+  await l.settle();
+
+  assert.deepEqual(zonesOf(l.calls.open), ["102"]);
+  assert.deepEqual(zonesOf(l.calls.replace), ["101"]);
+  l.close();
+});
+
+test("a dry-run preview does not count exits against the caps", async () => {
+  const config = { ...CONFIG, mainExit_capCount: 2, tabUnderClick_capCount: 2 };
+  const clone = await loadLanding({ config, query: "?__dryrun=1&__cl=1" });
+  clone.click("#next-btn-s2");
+  await clone.settle();
+  assert.equal(clone.window.localStorage.getItem("__caps"), null);
+  clone.close();
+
+  const original = await loadLanding({ config, query: "?__dryrun=1" });
+  original.click("[data-target=settings]");
+  await original.settle();
+  assert.equal(original.window.localStorage.getItem("__caps"), null);
+  original.close();
+});
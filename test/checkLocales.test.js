@@ -0,0 +1,100 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { spawnSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { checkLocales } from "../scripts/check-locales.js";
+
+const SCRIPT = fileURLToPath(new URL("../scripts/check-locales.js", import.meta.url));
+
+const dirs = [];
+after(() => dirs.forEach(d => rmSync(d, { recursive: true, force: true })));
+
+// locales dir from { lang: object | raw string }
+const fixture = (files) => {
+  const dir = mkdtempSync(join(tmpdir(), "locales-"));
+  dirs.push(dir);
+  Object.entries(files).forEach(([lang, data]) =>
+    writeFileSync(join(dir, `${lang}.json`), typeof data === "string" ? data : JSON.stringify(data)));
+  return dir;
+};
+
+const EN = {
+  next: "Next",
+  greeting: "Hi {user}",
+  likes_label: { one: "{count} like", other: "{count} likes" },
+  emoji: "🔥",
+};
+
+const codes = (list, file) => list.filter(e => !file || e.file === file).map(e => `${e.code}:${e.key}`).sort();
+
+test("the shipped locales pass without errors", async () => {
+  const { errors, files } = await checkLocales();
+  assert.equal(files.length, 29);
+  assert.deepEqual(errors, []);
+});
+
+test("missing keys, broken placeholders and plural gaps are errors", async () => {
+  const dir = fixture({
+    en: EN,
+    de: { next: "Weiter", greeting: "Hallo {name}", likes_label: { one: "{count} Like" }, emoji: "🔥" },
+    ru: { greeting: "Привет {user", likes_label: "лайки", emoji: "🔥" },
+  });
+  const { errors } = await checkLocales(dir, { bundle: null, i18n: null });
+
+  assert.deepEqual(codes(errors, "de.json"), [
+    "PLACEHOLDER_BROKEN:greeting",
+    "PLURAL_FORMS:likes_label",
+  ]);
+  assert.deepEqual(codes(errors, "ru.json"), [
+    "KEY_MISSING:next",
+    "PLACEHOLDER_BROKEN:greeting",
+    "TYPE_MISMATCH:likes_label",
+  ]);
+});
+
+test("invalid JSON is reported per file and the rest is still checked", async () => {
+  const dir = fixture({ en: EN, fr: "{ \"next\": \"Suivant\", }", de: { ...EN, next: "Weiter", greeting: "Hallo {user}" } });
+  const { errors } = await checkLocales(dir, { bundle: null, i18n: null });
+  assert.deepEqual(codes(errors), ["JSON_INVALID:"]);
+  assert.equal(errors[0].file, "fr.json");
+});
+
+test("extra keys and English copies are warnings; emoji-only values are not", async () => {
+  const dir = fixture({ en: EN, nl: { ...EN, greeting: "Hoi {user}", old_key: "weg" } });
+  const { errors, warnings } = await checkLocales(dir, { bundle: null, i18n: null });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(codes(warnings), ["KEY_EXTRA:old_key", "UNTRANSLATED:likes_label", "UNTRANSLATED:next"]);
+});
+
+test("a plural 'one' may spell the number out instead of {count}", async () => {
+  const dir = fixture({ en: EN, ar: { ...EN, next: "التالي", greeting: "مرحبا {user}", likes_label: {
+    zero: "{count} إعجاب", one: "إعجاب واحد", two: "إعجابان", few: "{count} إعجابات", many: "{count} إعجابًا", other: "{count} إعجاب",
+  } } });
+  const { errors } = await checkLocales(dir, { bundle: null, i18n: null });
+  assert.deepEqual(errors, []);
+});
+
+test("the built-in bundle and the LOCALES list are compared with the files", async () => {
+  const dir = fixture({ en: { ...EN, next: "Continue" }, xx: { ...EN, next: "Xx", greeting: "Xx {user}" } });
+  const { errors } = await checkLocales(dir);
+  assert.ok(errors.some(e => e.code === "BUNDLE_MISMATCH" && e.key === "next"));
+  assert.ok(errors.some(e => e.code === "BUNDLE_MISMATCH" && e.key === "greeting"));
+  assert.ok(errors.some(e => e.code === "LOCALES_LIST" && e.file === "xx.json"));
+  assert.ok(errors.some(e => e.code === "LOCALES_LIST" && e.file === "de.json"));
+});
+
+test("the CLI exits non-zero on errors and zero on warnings only", () => {
+  const bad = fixture({ en: EN, de: { next: "Weiter" } });
+  const run = (dir) => spawnSync(process.execPath, [SCRIPT, dir], { encoding: "utf8", timeout: 30000 });
+
+  const failing = run(bad);
+  assert.equal(failing.status, 1);
+  assert.match(failing.stderr, /error de\.json KEY_MISSING \(greeting\)/);
+
+  const ok = run(fileURLToPath(new URL("../locales/", import.meta.url)));
+  assert.equal(ok.status, 0);
+  assert.match(ok.stdout, /29 locale file\(s\): 0 error\(s\)/);
+});
@@ -0,0 +1,189 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadLanding, zonesOf, wait } from "./harness.js";
+
+const CONFIG = {
+  domain: "https://exits.test",
+  mainExit_currentTab_zoneId: 101,
+  mainExit_newTab_zoneId: 102,
+  tabUnderClick_zoneId: 103,
+  ageExit_currentTab_zoneId: 104,
+  ageExit_newTab_zoneId: 105,
+  back_zoneId: 106,
+  back_count: 2,
+};
+
+// banner / modal / play trigger used by the other templates sharing common.js
+const FIXTURE = `
+  <div id="xh_banner"><img data-target="banner_main" alt=""><span data-target="banner_close">x</span></div>
+  <div id="xh_exit_modal" style="display:none" aria-hidden="true">
+    <button data-target="modal_stay">Stay</button><button data-target="modal_leave">Leave</button>
+  </div>
+  <button class="xh-main-play-trigger" data-target="main_play">Play</button>
+  <button data-target="back_button">Back</button>
+`;
+
+const landing = (opts = {}) => loadLanding({ config: CONFIG, extraHtml: FIXTURE, ...opts });
+
+const assertCloneOpened = (url, { fast }) => {
+  const u = new URL(url);
+  assert.equal(u.searchParams.get("__cl"), "1");
+  assert.equal(u.searchParams.get("t"), "0");
+  assert.equal(u.searchParams.get("__fast"), fast ? "1" : null);
+  assert.equal(u.searchParams.get("__skipPreview"), fast ? "1" : null);
+};
+
+test("stage 1: a click on the video swaps to stage 2 without leaving", async () => {
+  const l = await landing({ query: "?v=2" }); // two-clip offer
+  l.click("#ui-desc");
+  await l.settle();
+  assert.deepEqual(l.calls.open, []);
+  assert.deepEqual(l.calls.replace, []);
+
+  await wait(450);
+  assert.ok(l.$("#v2").classList.contains("active"));
+
+  l.click("#ui-desc");
+  await l.settle();
+  assert.deepEqual(zonesOf(l.calls.open), ["102"]);
+  assert.deepEqual(zonesOf(l.calls.replace), ["101"]);
+  l.close();
+});
+
+test("original: main_play opens a slow clone and sends the tab to tabUnderClick", async () => {
+  const l = await landing();
+  l.click("[data-target=main_play]");
+  await l.settle();
+
+  assert.equal(l.calls.open.length, 1);
+  assertCloneOpened(l.calls.open[0], { fast: false });
+  assert.deepEqual(zonesOf(l.calls.replace), ["103"]);
+  assert.equal(l.window.sessionStorage.getItem("__micro_done"), "1");
+  assert.deepEqual(l.calls.metrics.map(m => m.event), ["micro_open_clone_slow", "tabUnderClick"]);
+  l.close();
+});
+
+test("original: micro handoff arms the back queue with back.html", async () => {
+  const l = await landing();
+  l.click("[data-target=main_play]");
+  await l.settle();
+
+  const back = l.calls.pushState.filter(p => p.url?.includes("/back.html"));
+  assert.equal(back.length, 2);
+  const u = new URL(back[0].url);
+  assert.equal(u.searchParams.get("z"), "106");
+  assert.equal(u.searchParams.get("domain"), "https://exits.test");
+  l.close();
+});
+
+test("original: __micro_done in sessionStorage skips the clone and runs mainExit", async () => {
+  const l = await landing({ session: { __micro_done: "1" } });
+  l.click("[data-target=main_play]");
+  await l.settle();
+
+  assert.deepEqual(zonesOf(l.calls.open), ["102"]);
+  assert.deepEqual(zonesOf(l.calls.replace), ["101"]);
+  l.close();
+});
+
+test("original: without tabUnderClick the handoff falls back to mainExit", async () => {
+  const { tabUnderClick_zoneId, ...config } = CONFIG;
+  const l = await landing({ config });
+  l.click("[data-target=main_play]");
+  await l.settle();
+
+  assertCloneOpened(l.calls.open[0], { fast: false });
+  assert.deepEqual(zonesOf(l.calls.open.slice(1)), ["102"]);
+  assert.deepEqual(zonesOf(l.calls.replace), ["101"]);
+  l.close();
+});
+
+for (const target of ["timeline", "play_pause", "fullscreen", "settings"]) {
+  test(`original: micro target ${target} opens a fast clone`, async () => {
+    const l = await landing();
+    l.click(`[data-target=${target}]`);
+    await l.settle();
+
+    assertCloneOpened(l.calls.open[0], { fast: true });
+    assert.deepEqual(zonesOf(l.calls.replace), ["103"]);
+    l.close();
+  });
+}
+
+test("original: banner_close hides the banner and opens a fast clone", async () => {
+  const l = await landing();
+  l.click("[data-target=banner_close]");
+  await l.settle();
+
+  assert.equal(l.$("#xh_banner").style.display, "none");
+  assertCloneOpened(l.calls.open[0], { fast: true });
+  assert.deepEqual(zonesOf(l.calls.replace), ["103"]);
+  l.close();
+});
+
+test("original: banner_main runs mainExit", async () => {
+  const l = await landing();
+  l.click("[data-target=banner_main]");
+  await l.settle();
+
+  assert.deepEqual(zonesOf(l.calls.open), ["102"]);
+  assert.deepEqual(zonesOf(l.calls.replace), ["101"]);
+  l.close();
+});
+
+test("original: back_button only shows the exit modal", async () => {
+  const l = await landing();
+  l.click("[data-target=back_button]");
+  await l.settle();
+
+  assert.equal(l.$("#xh_exit_modal").style.display, "flex");
+  assert.equal(l.$("#xh_exit_modal").getAttribute("aria-hidden"), "false");
+  assert.deepEqual(l.calls.open, []);
+  assert.deepEqual(l.calls.replace, []);
+  l.close();
+});
+
+test("original: modal_stay closes the modal and opens a slow clone", async () => {
+  const l = await landing();
+  l.click("[data-target=back_button]");
+  l.click("[data-target=modal_stay]");
+  await l.settle();
+
+  assert.equal(l.$("#xh_exit_modal").style.display, "none");
+  assertCloneOpened(l.calls.open[0], { fast: false });
+  assert.deepEqual(zonesOf(l.calls.replace), ["103"]);
+  l.close();
+});
+
+test("original: modal_leave runs ageExit on both tabs", async () => {
+  const l = await landing();
+  l.click("[data-target=back_button]");
+  l.click("[data-target=modal_leave]");
+  await l.settle();
+
+  assert.deepEqual(zonesOf(l.calls.open), ["105"]);
+  assert.deepEqual(zonesOf(l.calls.replace), ["104"]);
+  l.close();
+});
+
+test("clone: starts on the last stage and any click runs mainExit", async () => {
+  const l = await landing({ query: "?v=2&__cl=1" });
+  assert.ok(l.$("#v2").classList.contains("active"));
+
+  l.click("#ui-desc");
+  await l.settle();
+  assert.deepEqual(zonesOf(l.calls.open), ["102"]);
+  assert.deepEqual(zonesOf(l.calls.replace), ["101"]);
+  l.close();
+});
+
+test("clone: micro targets never open another clone", async () => {
+  const l = await landing({ query: "?__cl=1" });
+  l.click("[data-target=main_play]");
+  await l.settle();
+
+  assert.ok(l.calls.open.every(u => new URL(u).searchParams.get("__cl") !== "1"));
+  assert.deepEqual(zonesOf(l.calls.replace), ["101"]);
+  assert.equal(l.window.sessionStorage.getItem("__micro_done"), null);
+  l.close();
+});
@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadLanding, zonesOf } from "./harness.js";
+
+const CONFIG = {
+  domain: "https://exits.test",
+  complianceMode: true,
+  mainExit_currentTab_zoneId: 101,
+  mainExit_newTab_zoneId: 102,
+  autoexit_zoneId: 107,
+  autoexit_timeToRedirect: 5,
+  reverse_zoneId: 108,
+  back_zoneId: 106,
+  back_count: 2,
+};
+
+const codes = (l) => l.window.LANDING_EXITS.diagnostics()
+  .filter(e => e.source === "compliance")
+  .map(e => e.code);
+
+test("complianceMode arms no history manipulation or timed redirect", async () => {
+  const l = await loadLanding({ config: CONFIG, query: "?__cl=1" });
+
+  assert.deepEqual(l.calls.pushState, []);
+  const reported = codes(l);
+  assert.ok(reported.includes("REVERSE_SUPPRESSED"));
+  assert.ok(reported.includes("AUTOEXIT_SUPPRESSED"));
+  assert.ok(reported.includes("BACK_TRAP_SUPPRESSED"));
+  l.close();
+});
+
+test("complianceMode: an implicit click on the video does not exit", async () => {
+  const l = await loadLanding({ config: CONFIG, query: "?__cl=1" });
+  l.click("#ui-desc");
+  await l.settle();
+
+  assert.deepEqual(l.calls.open, []);
+  assert.deepEqual(l.calls.replace, []);
+  assert.ok(codes(l).includes("IMPLICIT_EXIT_SUPPRESSED"));
+  l.close();
+});
+
+test("complianceMode: the visible next button exits without a back queue", async () => {
+  const l = await loadLanding({ config: CONFIG, query: "?__cl=1" });
+  l.click("#next-btn-s2");
+  await l.settle();
+
+  assert.deepEqual(zonesOf(l.calls.open), ["102"]);
+  assert.deepEqual(zonesOf(l.calls.replace), ["101"]);
+  assert.deepEqual(l.calls.pushState, []);
+  assert.ok(codes(l).includes("BACK_QUEUE_SUPPRESSED"));
+  l.close();
+});
+
+test("complianceMode: hidden controls do not exit", async () => {
+  const l = await loadLanding({
+    config: CONFIG,
+    extraHtml: `<button style="display:none" data-target="banner_main">Hidden</button>`,
+  });
+  l.click("[data-target=banner_main]");
+  await l.settle();
+
+  assert.deepEqual(l.calls.open, []);
+  assert.deepEqual(l.calls.replace, []);
+  l.close();
+});
+
+test("without complianceMode the back trap and reverse are armed", async () => {
+  const { complianceMode, autoexit_zoneId, ...config } = CONFIG;
+  const l = await loadLanding({ config, query: "?__cl=1" });
+
+  assert.ok(l.calls.pushState.some(p => p.state?.__rev === 1));
+  assert.ok(l.calls.pushState.some(p => p.state?.customStage === 2));
+  assert.deepEqual(codes(l), []);
+  l.close();
+});
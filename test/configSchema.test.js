@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { loadLanding, wait } from "./harness.js";
+import { validateConfig, PASSTHROUGH_KEYS, TOP_LEVEL_SCHEMA } from "../assets/scripts/configSchema.js";
+import { normalizeConfig } from "../assets/scripts/exits.js";
+
+const BASE = { domain: "jup9.com", mainExit_zoneId: 1 };
+const found = (cfg) => {
+  const { errors, warnings } = validateConfig(cfg);
+  return [...errors, ...warnings].map(e => [e.code, e.key]);
+};
+
+test("a near-miss key is an error that names the key it was meant to be", () => {
+  const { errors } = validateConfig({ ...BASE, ageGateTTLHours: 12, mainExit_curentTab_zoneId: 2 });
+  assert.deepEqual(errors.map(e => [e.code, e.key]), [
+    ["KEY_TYPO", "ageGateTTLHours"],
+    ["KEY_TYPO", "mainExit_curentTab_zoneId"],
+  ]);
+  assert.match(errors[0].message, /did you mean ageGateTtlHours\?/);
+  assert.match(errors[1].message, /did you mean mainExit_currentTab_zoneId\?/);
+});
+
+test("unknown exits, unused tabs and far-off keys are told apart", () => {
+  assert.deepEqual(found({ ...BASE, mainExt_zoneId: 3, reverse_newTab_zoneId: 4, somethingElse: 1 }), [
+    ["EXIT_TYPO", "mainExt_zoneId"],
+    ["TAB_UNUSED", "reverse_newTab_zoneId"],
+    ["KEY_UNKNOWN", "somethingElse"],
+  ]);
+});
+
+test("every top-level key but domain / clickMapMode / abtest reaches the normalized cfg", () => {
+  assert.deepEqual(
+    Object.keys(TOP_LEVEL_SCHEMA).filter(k => !PASSTHROUGH_KEYS.includes(k)),
+    ["domain", "clickMapMode", "abtest"],
+  );
+  const appCfg = { ...BASE, eventsEndpoint: "/events", playerControls: true, ageGate: true };
+  const cfg = normalizeConfig(appCfg);
+  assert.deepEqual([cfg.eventsEndpoint, cfg.playerControls, cfg.ageGate], ["/events", true, true]);
+});
+
+test("?__debug=1 lists config problems in the overlay, which clicks pass by", async () => {
+  const l = await loadLanding({
+    config: { ...BASE, mainExit_curentTab_zoneId: 2, back_zoneId: 6 },
+    query: "?__debug=1",
+  });
+  await wait(0);
+  const panel = l.$("#xh_diagnostics");
+  assert.ok(panel);
+  assert.match(panel.textContent, /ERROR \[config\] KEY_TYPO mainExit_curentTab_zoneId — .*did you mean mainExit_currentTab_zoneId/);
+
+  l.click("#xh_diagnostics button");
+  await l.settle();
+  assert.equal(panel.style.display, "none");
+  assert.deepEqual(l.calls.open, []);
+  assert.deepEqual(l.calls.replace, []);
+  l.close();
+});
+
+test("without ?__debug=1 there is no overlay", async () => {
+  const l = await loadLanding({ config: { ...BASE, mainExit_curentTab_zoneId: 2 } });
+  await wait(0);
+  assert.equal(l.$("#xh_diagnostics"), null);
+  l.close();
+});
+
+test("the shipped APP_CONFIG is valid and leaves consent, the age gate and safePageUrl opt-in", () => {
+  const html = readFileSync(new URL("../index.html", import.meta.url), "utf8");
+  const shipped = new Function(`${html.match(/var APP_CONFIG = \{[\s\S]*?\n {4}\};/)[0]} return APP_CONFIG;`)();
+  assert.deepEqual(validateConfig(shipped).errors, []);
+  assert.deepEqual([shipped.consent, shipped.ageGate, shipped.safePageUrl], [undefined, undefined, undefined]);
+});
@@ -0,0 +1,110 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadLanding } from "./harness.js";
+import { buildExitQSFast, syncMetric } from "../assets/scripts/exits.js";
+import { getConsent, onConsent } from "../assets/scripts/consent.js";
+
+const CONFIG = {
+  domain: "https://exits.test",
+  consent: "banner",
+  mainExit_currentTab_zoneId: 101,
+};
+
+const GATED = ["os_version", "btz", "bto"];
+const gatedIn = (qs) => GATED.filter(k => qs.has(k));
+
+test("banner mode: nothing gated leaves before an answer", async () => {
+  const l = await loadLanding({ config: CONFIG, query: "?__cl=1" });
+  assert.ok(l.$("#xh_consent"));
+  assert.equal(getConsent(), "pending");
+  assert.deepEqual(gatedIn(buildExitQSFast({ zoneId: 1 })), []);
+
+  syncMetric({ event: "held" });
+  assert.deepEqual(l.calls.metrics, []);
+  l.close();
+});
+
+test("banner mode: accepting flushes held metrics and restores the full param set", async () => {
+  const l = await loadLanding({ config: CONFIG, query: "?__cl=1" });
+  syncMetric({ event: "held" });
+
+  l.click("#xh_consent [data-consent=granted]");
+  assert.equal(l.$("#xh_consent"), null);
+  assert.equal(getConsent(), "granted");
+  assert.deepEqual(l.calls.metrics, [{ event: "held" }]);
+  assert.deepEqual(gatedIn(buildExitQSFast({ zoneId: 1 })), ["btz", "bto"]);
+  assert.equal(JSON.parse(l.window.localStorage.getItem("__consent")).state, "granted");
+  l.close();
+});
+
+test("answers, held work and listeners stay with the page they were given on", async () => {
+  const first = await loadLanding({ config: CONFIG, query: "?__cl=1" });
+  const heard = [];
+  onConsent((state) => heard.push(state));
+  syncMetric({ event: "held on the first page" });
+  first.close();
+
+  const l = await loadLanding({ config: CONFIG, query: "?__cl=1" });
+  assert.equal(getConsent(), "pending");
+  l.click("#xh_consent [data-consent=granted]");
+  assert.deepEqual(heard, []);
+  assert.deepEqual(l.calls.metrics, []);
+  l.close();
+});
+
+test("banner mode: clicking the banner never triggers an exit", async () => {
+  const l = await loadLanding({ config: CONFIG, query: "?__cl=1" });
+  l.click("#xh_consent [data-consent=denied]");
+  await l.settle();
+
+  assert.deepEqual(l.calls.replace, []);
+  assert.deepEqual(l.calls.open, []);
+  l.close();
+});
+
+test("banner mode: refusal keeps the minimal param set and drops metrics", async () => {
+  const l = await loadLanding({ config: CONFIG, query: "?__cl=1" });
+  syncMetric({ event: "held" });
+  l.click("#xh_consent [data-consent=denied]");
+
+  l.click("#ui-desc");
+  await l.settle();
+
+  assert.deepEqual(l.calls.metrics, []);
+  const exit = new URL(l.calls.replace[0]).searchParams;
+  assert.deepEqual(gatedIn(exit), []);
+  assert.equal(exit.get("zoneid"), "101");
+  l.close();
+});
+
+test("banner mode: a stored answer skips the banner", async () => {
+  const l = await loadLanding({
+    config: CONFIG,
+    setup: (w) => w.localStorage.setItem("__consent", JSON.stringify({ state: "granted", at: Date.now() })),
+  });
+  assert.equal(l.$("#xh_consent"), null);
+  assert.equal(getConsent(), "granted");
+  l.close();
+});
+
+test("cmp mode: the adapter decides", async () => {
+  let update;
+  const l = await loadLanding({
+    config: { ...CONFIG, consent: "cmp" },
+    setup: (w) => { w.LANDING_CONSENT_ADAPTER = { init: (cb) => { update = cb; } }; },
+  });
+  assert.equal(l.$("#xh_consent"), null);
+  assert.equal(getConsent(), "pending");
+
+  update("granted");
+  assert.equal(getConsent(), "granted");
+  l.close();
+});
+
+test("consent off (default) behaves as granted", async () => {
+  const { consent, ...config } = CONFIG;
+  const l = await loadLanding({ config });
+  assert.equal(getConsent(), "granted");
+  assert.equal(l.$("#xh_consent"), null);
+  l.close();
+});
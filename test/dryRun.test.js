@@ -0,0 +1,109 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadLanding } from "./harness.js";
+import { getDryRunLog, describeExits } from "../assets/scripts/dryRun.js";
+import { normalizeConfig } from "../assets/scripts/exits.js";
+
+const CONFIG = {
+  domain: "https://exits.test",
+  mainExit_currentTab_zoneId: 101,
+  mainExit_newTab_url: "https://offer.test/lp",
+  back_zoneId: 106,
+  back_count: 2,
+};
+
+test("?__dryrun=1 records exits instead of navigating", async () => {
+  const l = await loadLanding({ config: CONFIG, query: "?__dryrun=1&__cl=1" });
+  assert.equal(l.window.LANDING_EXITS.dryRun, true);
+
+  l.click("#ui-desc");
+  await l.settle();
+
+  assert.deepEqual(l.calls.open, []);
+  assert.deepEqual(l.calls.replace, []);
+  assert.deepEqual(l.calls.metrics, []);
+  // reels back trap + back queue (2 + 1): recorded, the real history is untouched
+  assert.deepEqual(l.calls.pushState, []);
+
+  const kinds = getDryRunLog().map(e => e.kind);
+  assert.deepEqual(kinds.filter(k => k !== "pushState"), ["metric", "metric", "store", "open", "replace"]);
+  assert.equal(l.window.sessionStorage.getItem("__back_allowlist"), null, "the back.html snapshot is only logged");
+  assert.equal(kinds.filter(k => k === "pushState").length, 4);
+  assert.equal(l.$("#xh_dryrun_log").children.length, getDryRunLog().length);
+  l.close();
+});
+
+test("a previewed micro handoff leaves no flag for the next real visit", async () => {
+  const l = await loadLanding({ config: { ...CONFIG, tabUnderClick_zoneId: 103, reverse_zoneId: 108 }, query: "?__dryrun=1" });
+  l.click("[data-target=settings]");
+  await l.settle();
+  assert.ok(getDryRunLog().some(e => e.kind === "replace" && /zoneid=103/.test(e.detail)));
+  assert.equal(l.window.sessionStorage.getItem("__micro_done"), null);
+  assert.deepEqual(l.calls.pushState, [], "reverse and back queue are recorded only");
+
+  // the second micro click in the same preview still goes to mainExit
+  const before = getDryRunLog().length;
+  l.click("[data-target=settings]");
+  await l.settle();
+  assert.ok(getDryRunLog().slice(before).some(e => e.kind === "replace" && /zoneid=101/.test(e.detail)));
+  l.close();
+});
+
+test("age gate and consent answers given in a preview are not kept", async () => {
+  const l = await loadLanding({ config: { ...CONFIG, ageGate: true, consent: "banner" }, query: "?__dryrun=1" });
+  l.click("[data-age=confirm]");
+  l.click("[data-consent=granted]");
+  await l.settle();
+
+  assert.equal(l.window.LANDING_EXITS.ageConfirmed(), true, "the preview itself goes on");
+  assert.equal(l.window.localStorage.getItem("__age"), null);
+  assert.equal(l.window.localStorage.getItem("__consent"), null);
+  const stored = getDryRunLog().filter(e => e.kind === "store").map(e => e.detail.split("=")[0]);
+  assert.deepEqual(stored, ["localStorage __age", "localStorage __consent"]);
+  l.close();
+});
+
+test("the preview panel lists every configured exit and ignores clicks on itself", async () => {
+  const l = await loadLanding({ config: CONFIG, query: "?__dryrun=1" });
+  const panel = l.$("#xh_dryrun");
+  assert.ok(panel);
+  const summaries = [...panel.querySelectorAll("summary")].map(s => s.textContent);
+  assert.deepEqual(summaries, ["mainExit", "back (count=2)"]);
+
+  const before = getDryRunLog().length;
+  l.click("#xh_dryrun summary");
+  await l.settle();
+  assert.equal(getDryRunLog().length, before);
+  assert.ok(!l.$("#v2").classList.contains("active"));
+  l.close();
+});
+
+test("the preview panel lists caps and the param mapping an exit applies", async () => {
+  const l = await loadLanding({
+    config: { ...CONFIG, mainExit_capCount: 2, mainExit_capHours: 6, paramMapping: [{ from: "s", to: "sub1" }] },
+    query: "?__dryrun=1",
+  });
+  const summaries = [...l.window.document.querySelectorAll("#xh_dryrun summary")].map(s => s.textContent);
+  assert.deepEqual(summaries, [
+    'mainExit (capCount=2, capHours=6, paramMapping=[{"from":"s","to":"sub1"}])',
+    'back (count=2, paramMapping=[{"from":"s","to":"sub1"}])',
+  ]);
+  l.close();
+});
+
+test("describeExits resolves both tabs and decodes params", async () => {
+  const l = await loadLanding({ config: CONFIG, query: "?var_1=Y%20Z" });
+  const [main, back] = describeExits(normalizeConfig(CONFIG));
+
+  assert.equal(main.name, "mainExit");
+  assert.deepEqual(main.tabs.map(t => [t.tab, t.source, t.base]), [
+    ["currentTab", "zone 101", "https://exits.test/afu.php"],
+    ["newTab", "url", "https://offer.test/lp"],
+  ]);
+  const params = Object.fromEntries(main.tabs[0].params);
+  assert.equal(params.ymid, "Y Z");
+  assert.match(params.cmeta, /"landingName"/);
+
+  assert.equal(back.tabs[0].base, "https://landing.test/back.html");
+  l.close();
+});
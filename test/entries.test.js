@@ -0,0 +1,115 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createDom, wait } from "./harness.js";
+import { loadConfig } from "../assets/scripts/exits.js";
+import { getDryRunLog } from "../assets/scripts/dryRun.js";
+import { getEvents } from "../assets/scripts/events.js";
+import { getEntries } from "../assets/scripts/diagnostics.js";
+
+// the standalone entry scripts, on a bare page with their APP_CONFIG
+let env;
+const page = async (entry, appConfig, query = "") => {
+  env = createDom({ query });
+  env.window.APP_CONFIG = appConfig;
+  env.exports = await import(`../assets/scripts/${entry}?case=${Date.now()}`);
+  return env;
+};
+afterEach(() => env?.window.close());
+
+const click = () => env.window.document.body.dispatchEvent(new env.window.MouseEvent("click", { bubbles: true }));
+const setVisibility = (state) => {
+  Object.defineProperty(env.window.document, "visibilityState", { value: state, configurable: true });
+  env.window.document.dispatchEvent(new env.window.Event("visibilitychange"));
+};
+
+test("reverse.js: Back after the first click leaves through reverse", async () => {
+  const { window, calls } = await page("reverse.js", {
+    domain: "jup9.com",
+    consent: "off",
+    reverse_zoneId: 5,
+    back_zoneId: 6,
+    back_count: 2,
+  });
+  assert.deepEqual(calls.pushState, [], "nothing is pushed before a click");
+
+  click();
+  click();
+  assert.deepEqual(calls.pushState.map(p => p.state), [null, null, null, { __rev: 1 }], "back queue, then the reverse entry, once");
+  assert.match(calls.pushState[0].url, /back\.html\?.*z=6/);
+
+  window.history.back();
+  await wait(20);
+  assert.equal(calls.replace.length, 1);
+  assert.match(calls.replace[0], /^https:\/\/jup9\.com\/afu\.php\?.*zoneid=5/);
+});
+
+test("reverse.js: no click, no history entries and no reverse", async () => {
+  const { window, calls } = await page("reverse.js", { domain: "jup9.com", consent: "off", reverse_zoneId: 5 });
+  window.history.back();
+  await wait(20);
+  assert.deepEqual(calls.pushState, []);
+  assert.deepEqual(calls.replace, []);
+});
+
+test("mainExit.js: the popunder opens, the current tab follows when the visitor comes back", async () => {
+  const { calls } = await page("mainExit.js", {
+    domain: "jup9.com",
+    consent: "off",
+    mainExit_currentTab_zoneId: 1,
+    mainExit_newTab_zoneId: 2,
+  });
+  click();
+  await wait(60);
+  assert.equal(calls.open.length, 1);
+  assert.match(calls.open[0], /zoneid=2/);
+  assert.deepEqual(calls.replace, [], "still on the landing while the new tab is in front");
+
+  setVisibility("hidden");
+  setVisibility("visible");
+  assert.equal(calls.replace.length, 1);
+  assert.match(calls.replace[0], /zoneid=1/);
+});
+
+test("mainExit.js: a blocked popunder redirects the current tab at once", async () => {
+  const { window, calls } = await page("mainExit.js", {
+    domain: "jup9.com",
+    consent: "off",
+    mainExit_currentTab_zoneId: 1,
+    mainExit_newTab_zoneId: 2,
+  });
+  window.open = () => null;
+  click();
+  await wait(60);
+  assert.equal(calls.replace.length, 1);
+  assert.match(calls.replace[0], /zoneid=1/);
+});
+
+const PUSH = { domain: "jup9.com", consent: "off", push_zoneId: 7 };
+
+test("pushScript.js: SDK redirects are only recorded in a dry run", async () => {
+  const { calls, exports: { runPushExit } } = await page("pushScript.js", PUSH, "?__dryrun=1");
+  runPushExit(loadConfig(), "out.test", 11, 12);
+  await wait(60);
+
+  assert.deepEqual([calls.open, calls.replace], [[], []]);
+  const log = getDryRunLog().filter(e => e.kind === "open" || e.kind === "replace");
+  assert.deepEqual(log.map(e => e.kind), ["open", "replace"]);
+  assert.match(log[0].detail, /^https:\/\/out\.test\/afu\.php\?.*zoneid=12/);
+  assert.match(log[1].detail, /zoneid=11/);
+});
+
+test("pushScript.js: SDK redirects are capped, tracked and report a blocked popup", async () => {
+  const { window, calls, exports: { runPushExit } } = await page("pushScript.js", { ...PUSH, push_capCount: 1 });
+  window.open = () => null;
+
+  runPushExit(loadConfig(), "out.test", 11, 12);
+  runPushExit(loadConfig(), "out.test", 11, 12);
+  await wait(60);
+
+  assert.equal(calls.replace.length, 1);
+  assert.match(calls.replace[0], /zoneid=11/);
+  assert.equal(getEntries().filter(e => e.code === "POPUP_BLOCKED").length, 1);
+  const exits = getEvents().filter(e => e.type === "exit");
+  assert.deepEqual(exits.map(e => [e.name, !!e.capped]), [["push", false], ["push", true]]);
+  assert.equal(JSON.parse(window.localStorage.getItem("__caps")).push.length, 1);
+});
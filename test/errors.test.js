@@ -0,0 +1,108 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createDom, loadLanding, wait } from "./harness.js";
+import { setErrorReporter, captureError, MAX_CAPTURED } from "../assets/scripts/errors.js";
+import { runExitCurrentTabFast } from "../assets/scripts/exits.js";
+import { getEntries } from "../assets/scripts/diagnostics.js";
+import { getEvents } from "../assets/scripts/events.js";
+
+const CONFIG = {
+  domain: "https://exits.test",
+  mainExit_currentTab_zoneId: 101,
+  mainExit_newTab_zoneId: 102,
+  back_zoneId: 106,
+};
+
+// records every entry handed to the reporter; restores window.onLandingError afterwards
+const collect = (t) => {
+  const seen = [];
+  setErrorReporter((entry) => seen.push(entry));
+  t.after(() => setErrorReporter());
+  return seen;
+};
+
+test("uncaught errors and rejections reach the reporter with a code and context", async (t) => {
+  const seen = collect(t);
+  const l = await loadLanding({ config: CONFIG });
+  const w = l.window;
+  w.dispatchEvent(new w.ErrorEvent("error", { message: "boom", filename: "x.js", lineno: 3, colno: 7, error: new Error("boom") }));
+  w.dispatchEvent(Object.assign(new w.Event("unhandledrejection"), { reason: new Error("nope") }));
+
+  assert.deepEqual(seen.map(e => [e.code, e.source, e.message]), [
+    ["JS_ERROR", "window", "boom"],
+    ["UNHANDLED_REJECTION", "window", "nope"],
+  ]);
+  assert.deepEqual(seen[0].context, { file: "x.js", line: 3, col: 7 });
+  assert.match(seen[0].stack, /boom/);
+  assert.equal(seen[0].url, "https://landing.test/index.html");
+
+  const events = l.window.LANDING_EXITS.events().filter(e => e.type === "js_error");
+  assert.deepEqual(events.map(e => e.code), ["JS_ERROR", "UNHANDLED_REJECTION"]);
+  l.close();
+});
+
+test("the default reporter is window.onLandingError", async () => {
+  const seen = [];
+  const l = await loadLanding({ config: CONFIG, setup: (w) => { w.onLandingError = (entry) => seen.push(entry.code); } });
+  l.window.dispatchEvent(new l.window.ErrorEvent("error", { message: "boom" }));
+  assert.deepEqual(seen, ["JS_ERROR"]);
+  l.close();
+});
+
+test("a blocked popup is reported and the current tab still leaves", async (t) => {
+  const seen = collect(t);
+  const l = await loadLanding({ config: CONFIG, query: "?__cl=1", setup: (w) => { w.open = () => null; } });
+  l.click("#next-btn-s2");
+  await l.settle();
+
+  const blocked = seen.find(e => e.code === "POPUP_BLOCKED");
+  assert.equal(blocked.level, "warn");
+  assert.equal(blocked.context.name, "mainExit");
+  assert.match(blocked.context.url, /zoneid=102/);
+  assert.equal(l.calls.replace.length, 1);
+  l.close();
+});
+
+test("config errors and unresolvable exits are captured", async (t) => {
+  const seen = collect(t);
+  const l = await loadLanding({ config: { ...CONFIG, videoCount: "many" } });
+  const invalid = seen.find(e => e.source === "config");
+  assert.deepEqual([invalid.code, invalid.key], ["VALUE_INVALID", "videoCount"]);
+  l.close();
+
+  const { calls } = createDom();
+  runExitCurrentTabFast({ mainExit: { currentTab: { zoneId: 101 } } }, "mainExit");
+  const unresolved = seen.find(e => e.code === "EXIT_UNRESOLVED");
+  assert.deepEqual(unresolved.context, { name: "mainExit", tab: "currentTab", zoneId: 101, url: "" });
+  assert.deepEqual(calls.replace, []);
+});
+
+test("the push entry captures errors and records events like the landing", async (t) => {
+  const seen = collect(t);
+  const { window } = createDom();
+  window.APP_CONFIG = { ...CONFIG, consent: "off" };
+  await import(`../assets/scripts/pushScript.js?case=${Date.now()}`);
+  window.dispatchEvent(new window.ErrorEvent("error", { message: "boom" }));
+
+  assert.deepEqual(seen.map(e => e.code), ["JS_ERROR"]);
+  assert.deepEqual(getEvents().map(e => e.type), ["page_view", "js_error"]);
+  window.close();
+});
+
+test("a page captures at most MAX_CAPTURED errors", (t) => {
+  const seen = collect(t);
+  createDom();
+  for (let i = 0; i < MAX_CAPTURED + 5; i++) captureError({ code: "LOOP", error: new Error(`n${i}`) });
+  assert.equal(seen.length, MAX_CAPTURED);
+  assert.equal(getEntries().filter(e => e.code === "LOOP").length, MAX_CAPTURED);
+});
+
+test("?__debug=1 lists captured errors with their context", async () => {
+  const l = await loadLanding({ config: CONFIG, query: "?__debug=1" });
+  l.window.dispatchEvent(new l.window.ErrorEvent("error", { message: "boom", filename: "x.js", lineno: 3 }));
+  await wait(0);
+  const text = l.$("#xh_diagnostics").textContent;
+  assert.match(text, /\[window\] JS_ERROR — boom/);
+  assert.match(text, /"file":"x\.js","line":3/);
+  l.close();
+});
@@ -0,0 +1,161 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadLanding, wait } from "./harness.js";
+import { track, BATCH_SIZE, MAX_QUEUE } from "../assets/scripts/events.js";
+import { createCollector, validateBatch } from "../scripts/collector.js";
+
+const ENDPOINT = "https://collector.test/events";
+
+const CONFIG = {
+  domain: "https://exits.test",
+  consent: "off",
+  eventsEndpoint: ENDPOINT,
+  mainExit_currentTab_zoneId: 101,
+  mainExit_newTab_zoneId: 102,
+  back_zoneId: 106,
+};
+
+const leave = (l) => l.window.dispatchEvent(new l.window.Event("pagehide"));
+const types = (batch) => batch.events.map(e => e.type);
+
+test("page view, exit resolution and metrics go out in one beacon on pagehide", async () => {
+  const l = await loadLanding({ config: CONFIG, query: "?__cl=1", session: { __sid: "sess-1" } });
+  l.click("#next-btn-s2");
+  await l.settle();
+  assert.deepEqual(l.calls.beacons, []);
+
+  leave(l);
+  assert.equal(l.calls.beacons.length, 1);
+  const { url, body } = l.calls.beacons[0];
+  assert.equal(url, ENDPOINT);
+  assert.equal(body.sid, "sess-1");
+  assert.deepEqual(validateBatch(body), []);
+  assert.deepEqual(types(body), ["page_view", "exit", "metric", "metric"]);
+
+  const [view, exit] = body.events;
+  assert.equal(view.clone, true);
+  assert.equal(exit.name, "mainExit");
+  assert.match(exit.currentTab, /zoneid=101/);
+  assert.match(exit.newTab, /zoneid=102/);
+  // a page-defined window.syncMetric still sees every payload
+  assert.equal(l.calls.metrics.length, 2);
+
+  leave(l);
+  assert.equal(l.calls.beacons.length, 1, "an empty queue sends nothing");
+  l.close();
+});
+
+test("the micro handoff records the clone tab and the tabUnderClick redirect as exits", async () => {
+  const l = await loadLanding({
+    config: { ...CONFIG, tabUnderClick_zoneId: 103 },
+    extraHtml: `<div id="xh_banner"><button data-target="banner_close">x</button></div>`,
+  });
+  l.click("[data-target=banner_close]");
+  await l.settle();
+  leave(l);
+
+  const { body } = l.calls.beacons[0];
+  assert.deepEqual(validateBatch(body), []);
+  const exits = body.events.filter(e => e.type === "exit");
+  assert.deepEqual(exits.map(e => e.name), ["clone", "tabUnderClick"]);
+  assert.equal(exits[0].newTab, l.calls.open[0]);
+  assert.match(exits[0].newTab, /__cl=1/);
+  assert.equal(exits[1].currentTab, l.calls.replace[0]);
+  assert.match(exits[1].currentTab, /zoneid=103/);
+  l.close();
+});
+
+test("a swipe records the stage; the session id is created once per tab", async () => {
+  const l = await loadLanding({ config: CONFIG });
+  l.window.LANDING_REELS.next();
+  await wait(500);
+  leave(l);
+
+  const { body } = l.calls.beacons[0];
+  const stage = body.events.find(e => e.type === "stage");
+  assert.deepEqual({ stage: stage.stage, count: stage.count }, { stage: 2, count: l.window.LANDING_REELS.count() });
+  assert.equal(body.sid, l.window.sessionStorage.getItem("__sid"));
+  assert.ok(body.sid);
+  l.close();
+});
+
+test("uncaught errors are recorded as js_error", async () => {
+  const l = await loadLanding({ config: CONFIG });
+  l.window.dispatchEvent(new l.window.ErrorEvent("error", { message: "boom", filename: "x.js", lineno: 3, colno: 7 }));
+  leave(l);
+
+  const error = l.calls.beacons[0].body.events.find(e => e.type === "js_error");
+  assert.deepEqual({ ...error, ts: 0, n: 0 }, { type: "js_error", ts: 0, n: 0, code: "JS_ERROR", message: "boom", source: "x.js", line: 3, col: 7 });
+  l.close();
+});
+
+test("a full batch is sent without waiting for pagehide", async () => {
+  const l = await loadLanding({ config: CONFIG });
+  const queued = l.window.LANDING_EXITS.events().length;
+  for (let i = queued; i < BATCH_SIZE; i++) track("metric", { event: `m${i}` });
+
+  assert.equal(l.calls.beacons.length, 1);
+  assert.equal(l.calls.beacons[0].body.events.length, BATCH_SIZE);
+  assert.deepEqual(l.window.LANDING_EXITS.events(), []);
+  l.close();
+});
+
+test("nothing is sent without an endpoint or while consent is pending", async () => {
+  const bare = { ...CONFIG };
+  delete bare.eventsEndpoint;
+  const l = await loadLanding({ config: bare });
+  leave(l);
+  assert.deepEqual(l.calls.beacons, []);
+  assert.deepEqual(l.window.LANDING_EXITS.events().map(e => e.type), ["page_view"]);
+  l.close();
+
+  const pending = await loadLanding({ config: { ...CONFIG, consent: "banner" } });
+  leave(pending);
+  assert.deepEqual(pending.calls.beacons, []);
+  pending.close();
+});
+
+test("an unsent queue keeps only the latest MAX_QUEUE events", async () => {
+  const bare = { ...CONFIG };
+  delete bare.eventsEndpoint;
+  const l = await loadLanding({ config: bare });
+  for (let i = 0; i < MAX_QUEUE + 10; i++) track("metric", { event: `m${i}` });
+
+  const events = l.window.LANDING_EXITS.events();
+  assert.equal(events.length, MAX_QUEUE);
+  assert.equal(events[0].event, "m10");
+  assert.equal(events.at(-1).event, `m${MAX_QUEUE + 9}`);
+  assert.deepEqual(l.calls.beacons, []);
+  l.close();
+});
+
+test("the local collector accepts landing batches and rejects malformed ones", async (t) => {
+  const lines = [];
+  const server = createCollector({ log: (line) => lines.push(line) });
+  await new Promise(r => server.listen(0, "127.0.0.1", r));
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const l = await loadLanding({ config: CONFIG, query: "?__cl=1" });
+  l.click("#next-btn-s2");
+  await l.settle();
+  leave(l);
+  l.close();
+
+  const post = (body) => fetch(`${base}/events`, { method: "POST", body, signal: AbortSignal.timeout(5000) });
+  const ok = await post(JSON.stringify(l.calls.beacons[0].body));
+  assert.equal(ok.status, 204);
+
+  const bad = await post(JSON.stringify({ sid: "", sent: 1, events: [{ type: "nope", ts: 2, n: 1 }] }));
+  assert.equal(bad.status, 400);
+  const { problems } = await bad.json();
+  assert.equal(problems.length, 3);
+
+  const broken = await post("{");
+  assert.equal(broken.status, 400);
+
+  const stored = await (await fetch(`${base}/events`, { signal: AbortSignal.timeout(5000) })).json();
+  assert.equal(stored.length, 1);
+  assert.deepEqual(types(stored[0]), ["page_view", "exit", "metric", "metric"]);
+  assert.equal(lines.filter(s => s.startsWith("rejected")).length, 1);
+});
@@ -0,0 +1,139 @@
+/* harness.js — headless landing for node:test
+   - loads index.html in jsdom with a given APP_CONFIG + query string
+   - exposes the jsdom window as the globals the browser scripts expect
+   - serves fetch() from the repo (locales, reel manifests)
+   - boots fresh copies of reels.js + common.js against it
+   - records window.open / location.replace / pushState / syncMetric / event beacons instead of navigating
+*/
+
+import { readFileSync } from "node:fs";
+import { readFile } from "node:fs/promises";
+import { JSDOM, VirtualConsole } from "jsdom";
+import { setNavigation } from "../assets/scripts/exits.js";
+import { clearEntries } from "../assets/scripts/diagnostics.js";
+import { setEventTransport } from "../assets/scripts/events.js";
+
+const ROOT = new URL("../", import.meta.url);
+const INDEX_HTML = readFileSync(new URL("index.html", ROOT), "utf8");
+const APP_CONFIG_RE = /var APP_CONFIG = \{[\s\S]*?\n {4}\};/;
+
+export const ORIGIN = "https://landing.test";
+
+const GLOBALS = [
+  "window", "document", "navigator", "location", "history", "sessionStorage", "localStorage",
+  "Node", "HTMLElement", "Event", "MouseEvent", "KeyboardEvent", "CustomEvent", "getComputedStyle",
+];
+
+let seq = 0;
+
+export const wait = (ms = 0) => new Promise(r => setTimeout(r, ms));
+
+// jsdom has no media pipeline: make play()/pause()/load() behave like a muted autoplay.
+const stubMedia = (window) => {
+  const proto = window.HTMLMediaElement.prototype;
+  Object.defineProperty(proto, "paused", { configurable: true, get() { return this.__stubPaused !== false; } });
+  // browsers start muted from the attribute; jsdom does not
+  Object.defineProperty(proto, "muted", {
+    configurable: true,
+    get() { return this.__stubMuted ?? this.hasAttribute("muted"); },
+    set(v) { this.__stubMuted = !!v; },
+  });
+  proto.play = function () { this.__stubPaused = false; this.dispatchEvent(new window.Event("playing")); return Promise.resolve(); };
+  proto.pause = function () {
+    if (this.__stubPaused !== false) return;
+    this.__stubPaused = true;
+    this.dispatchEvent(new window.Event("pause"));
+  };
+  proto.load = function () {};
+};
+
+// jsdom has no fetch: same-origin paths are read from the repo, anything else is a 404.
+const stubFetch = (window) => {
+  window.fetch = async (input) => {
+    const url = new URL(String(input), window.location.href);
+    const respond = (status, body = "") => ({ ok: status === 200, status, json: async () => JSON.parse(body), text: async () => body });
+    if (url.origin !== ORIGIN) return respond(404);
+    try { return respond(200, await readFile(new URL(`.${url.pathname}`, ROOT), "utf8")); } catch { return respond(404); }
+  };
+};
+
+const quietConsole = () => {
+  const vc = new VirtualConsole();
+  vc.on("jsdomError", (e) => { if (!/Not implemented/.test(e.message)) console.error(e); });
+  return vc;
+};
+
+// Plain DOM with the globals installed; used directly by the URL builder tests.
+export const createDom = ({ html, query = "", path = "/index.html", runScripts, session = {} } = {}) => {
+  const dom = new JSDOM(html ?? "<!DOCTYPE html><html><head></head><body></body></html>", {
+    url: `${ORIGIN}${path}${query}`,
+    runScripts,
+    pretendToBeVisual: true,
+    virtualConsole: quietConsole(),
+    beforeParse: stubMedia,
+  });
+  const { window } = dom;
+
+  GLOBALS.forEach((name) => {
+    const value = name === "window" ? window : window[name];
+    Object.defineProperty(globalThis, name, { value, configurable: true, writable: true });
+  });
+
+  Object.entries(session).forEach(([k, v]) => window.sessionStorage.setItem(k, v));
+
+  const calls = { open: [], replace: [], pushState: [], metrics: [], beacons: [] };
+
+  stubFetch(window);
+  window.open = (url) => { calls.open.push(String(url)); return { opener: window }; };
+  window.syncMetric = (payload) => { calls.metrics.push(payload); };
+
+  const pushState = window.history.pushState.bind(window.history);
+  window.history.pushState = (state, title, url) => {
+    calls.pushState.push({ state, title, url: url == null ? url : String(url) });
+    return pushState(state, title, url);
+  };
+
+  setNavigation({ replace: (url) => { calls.replace.push(String(url)); } });
+  setEventTransport((url, body) => { calls.beacons.push({ url, body: JSON.parse(body) }); return true; });
+  clearEntries();
+
+  return { dom, window, calls };
+};
+
+// index.html with APP_CONFIG swapped for `config` (undefined removes it), inline scripts run,
+// reels.js + common.js booted. `extraHtml` is appended to <body> before scripts run (banner, modal, ...);
+// `setup(window)` runs right before common.js (storage, adapters, globals).
+export const loadLanding = async ({ config, query = "", session = {}, extraHtml = "", setup } = {}) => {
+  let html = INDEX_HTML.replace(
+    APP_CONFIG_RE,
+    config === undefined ? "" : `var APP_CONFIG = ${JSON.stringify(config)};`,
+  );
+  if (extraHtml) html = html.replace("<body>", `<body>\n${extraHtml}`);
+
+  const env = createDom({ html, query, runScripts: "dangerously", session });
+  setup?.(env.window);
+
+  ++seq;
+  await import(`../assets/scripts/reels.js?case=${seq}`);
+  await import(`../assets/scripts/common.js?case=${seq}`);
+  if (env.window.document.readyState !== "complete") {
+    await new Promise(r => env.window.addEventListener("load", r, { once: true }));
+  }
+  await env.window.LANDING_REELS?.ready;
+
+  return {
+    ...env,
+    $: (sel) => env.window.document.querySelector(sel),
+    click: (target) => {
+      const el = typeof target === "string" ? env.window.document.querySelector(target) : target;
+      if (!el) throw new Error(`click(): no element for ${target}`);
+      el.dispatchEvent(new env.window.MouseEvent("click", { bubbles: true, cancelable: true }));
+    },
+    // exit timers run on setTimeout(…, 40)
+    settle: () => wait(80),
+    close: () => env.window.close(),
+  };
+};
+
+// zoneid of every recorded navigation, in order
+export const zonesOf = (urls) => urls.map(u => new URL(u).searchParams.get("zoneid"));
@@ -0,0 +1,129 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createDom, loadLanding, wait } from "./harness.js";
+import { getEntries } from "../assets/scripts/diagnostics.js";
+import { getLanguageChain, format, interpolate, applyTranslations } from "../assets/scripts/i18n.js";
+
+let env;
+afterEach(() => env?.window.close());
+
+const at = (query, languages = ["en-US", "en"]) => {
+  env = createDom({ query });
+  Object.defineProperty(env.window.navigator, "languages", { value: languages, configurable: true });
+  return env;
+};
+
+const RU = { likes: { one: "{count} лайк", few: "{count} лайка", many: "{count} лайков", other: "{count} лайка" } };
+
+test("chains go region -> language -> en, keeping only shipped locales", () => {
+  at("?lang=pt-BR", ["de-AT", "de"]);
+  assert.deepEqual(getLanguageChain(), ["pt", "de", "en"]);
+  env.window.close();
+
+  at("", ["nb-NO", "xx"]);
+  assert.deepEqual(getLanguageChain(), ["no", "en"]);
+  env.window.close();
+
+  at("?lang=zz", ["zz"]);
+  assert.deepEqual(getLanguageChain(), ["en"]);
+});
+
+test("named placeholders, unknown ones left visible", () => {
+  assert.equal(interpolate("Hi {user}, {n} new", { user: "@a", n: 2 }), "Hi @a, 2 new");
+  assert.equal(interpolate("Hi {user}", {}), "Hi {user}");
+});
+
+test("plural forms follow the language's rules", () => {
+  assert.deepEqual([1, 3, 5, 21].map(count => format(RU, "likes", { count }, "ru")),
+    ["1 лайк", "3 лайка", "5 лайков", "21 лайк"]);
+  assert.equal(format({ k: { one: "{count} item", other: "{count} items" } }, "k", { count: 1 }, "en"), "1 item");
+  assert.equal(format({ k: { other: "{count} 件" } }, "k", { count: 1 }, "ja"), "1 件");
+  assert.equal(format({}, "k", {}, "en"), undefined);
+});
+
+test("keys missing in the locale fall back to en, unknown keys are reported", async () => {
+  at("?lang=pt-BR");
+  env.window.fetch = async (url) => ({
+    ok: String(url).endsWith("/locales/pt.json"), status: 200,
+    json: async () => ({ share: "Compartilhar" }),
+  });
+  const box = env.window.document.createElement("div");
+  box.innerHTML = `<span data-translate="share"></span><span data-translate="filters"></span><span data-translate="nope">x</span>`;
+  env.window.document.body.appendChild(box);
+
+  await applyTranslations(box);
+  assert.deepEqual([...box.children].map(s => s.textContent), ["Compartilhar", "Filters", "x"]);
+  assert.ok(getEntries().some(e => e.code === "KEY_MISSING" && /nope/.test(e.message)));
+});
+
+test("landing: the whole UI is translated", async () => {
+  const l = await loadLanding({ config: { domain: "https://exits.test" }, query: "?lang=de&v=2" });
+  await applyTranslations(l.window.document);
+  const $ = l.$;
+
+  assert.equal(l.window.document.title, "(1) Private Videoanfrage");
+  assert.equal($("[data-translate=filters]").textContent, "Filter");
+  assert.equal($("[data-translate=share]").textContent, "Teilen");
+  assert.equal($("#next-btn").getAttribute("aria-label"), "Weiter");
+  assert.equal($("#ui-like").getAttribute("aria-label"), "93 Likes");
+  assert.equal($("#ui-desc").innerHTML, "Gefällt dir meine Aussicht? 😈<br>Link in der Bio... 👇");
+  assert.equal($("#age-gate-title").textContent, "Bist du 18 Jahre oder älter?");
+  assert.equal(l.window.document.documentElement.getAttribute("lang"), "de");
+  assert.equal(l.window.document.documentElement.getAttribute("dir"), "ltr");
+
+  // the next reel's caption and likes come translated too
+  l.click("#ui-desc");
+  await wait(500);
+  assert.equal($("#ui-desc").innerHTML, "Warte bis zum Ende... 💦<br>Link in der Bio!");
+  assert.equal($("#ui-like").getAttribute("aria-label"), "12400 Likes");
+  l.close();
+});
+
+test("landing: rtl languages flip the document direction", async () => {
+  const l = await loadLanding({ config: { domain: "https://exits.test" }, query: "?lang=ar" });
+  await applyTranslations(l.window.document);
+  assert.equal(l.window.document.documentElement.getAttribute("dir"), "rtl");
+  assert.equal(l.$("[data-translate=share]").textContent, "مشاركة");
+  l.close();
+});
+
+test("the consent banner is translated when it appears", async () => {
+  const l = await loadLanding({ config: { domain: "https://exits.test", consent: "banner" }, query: "?lang=ru" });
+  await wait(20);
+  assert.equal(l.$("#xh_consent [data-consent=granted]").textContent, "Принять");
+  l.close();
+});
+
+test("a failed translation pass is captured, not left unhandled", async () => {
+  const l = await loadLanding({ config: { domain: "https://exits.test" }, query: "?lang=de" });
+  l.$("#ui-desc").querySelectorAll = () => { throw new Error("detached"); };
+  l.click("#ui-desc");
+  await wait(500);
+  const failed = getEntries().find(e => e.code === "TRANSLATE_FAILED");
+  assert.deepEqual([failed.level, failed.source, failed.message], ["warn", "i18n", "detached"]);
+  l.close();
+
+  at("?lang=de");
+  env.window.document.documentElement.querySelectorAll = () => { throw new Error("no root"); };
+  await import(`../assets/scripts/translateElements.js?case=${Date.now()}`);
+  await wait(50);
+  assert.ok(getEntries().some(e => e.code === "TRANSLATE_FAILED" && e.message === "no root"));
+});
+
+test("a failed banner translation is captured and the banner keeps its defaults", async () => {
+  const l = await loadLanding({
+    config: { domain: "https://exits.test", consent: "banner" },
+    query: "?lang=de",
+    setup: (w) => {
+      const all = w.Element.prototype.querySelectorAll;
+      w.Element.prototype.querySelectorAll = function (sel) {
+        if (this.id === "xh_consent") throw new Error("banner gone");
+        return all.call(this, sel);
+      };
+    },
+  });
+  await wait(20);
+  assert.ok(getEntries().some(e => e.code === "TRANSLATE_FAILED" && e.message === "banner gone"));
+  assert.equal(l.$("#xh_consent [data-consent=granted]").textContent, "Accept");
+  l.close();
+});
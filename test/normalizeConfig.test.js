@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeConfig } from "../assets/scripts/exits.js";
+import { validateConfig } from "../assets/scripts/configSchema.js";
+
+test("returns null without an object or a domain", () => {
+  assert.equal(normalizeConfig(undefined), null);
+  assert.equal(normalizeConfig("jup9.com"), null);
+  assert.equal(normalizeConfig({ mainExit_zoneId: 1 }), null);
+});
+
+test("name_tab_field keys build dual-tab exits on the config domain", () => {
+  const cfg = normalizeConfig({
+    domain: "https://jup9.com",
+    mainExit_currentTab_zoneId: 1,
+    mainExit_newTab_zoneId: 2,
+  });
+  assert.deepEqual(cfg.mainExit, {
+    currentTab: { domain: "https://jup9.com", zoneId: 1 },
+    newTab: { domain: "https://jup9.com", zoneId: 2 },
+  });
+});
+
+test("short keys land on currentTab, except tabUnderClick which lands on newTab", () => {
+  const cfg = normalizeConfig({
+    domain: "jup9.com",
+    reverse_zoneId: 3,
+    tabUnderClick_zoneId: 4,
+    ageExit_url: "https://offer.test/age",
+  });
+  assert.deepEqual(cfg.reverse, { currentTab: { domain: "jup9.com", zoneId: 3 } });
+  assert.deepEqual(cfg.tabUnderClick, { newTab: { domain: "jup9.com", zoneId: 4 } });
+  assert.deepEqual(cfg.ageExit, { currentTab: { domain: undefined, url: "https://offer.test/age" } });
+});
+
+test("settings attach to their exit", () => {
+  const cfg = normalizeConfig({
+    domain: "jup9.com",
+    autoexit_zoneId: 5,
+    autoexit_timeToRedirect: 30,
+    back_zoneId: 6,
+    back_count: 8,
+    back_pageUrl: "/custom-back.html",
+  });
+  assert.equal(cfg.autoexit.timeToRedirect, 30);
+  assert.equal(cfg.back.count, 8);
+  assert.equal(cfg.back.pageUrl, "/custom-back.html");
+});
+
+test("empty values and unknown keys are dropped", () => {
+  const cfg = normalizeConfig({
+    domain: "jup9.com",
+    clickMapMode: "off",
+    mainExit_zoneId: "",
+    mainExit_newtab_zoneId: 7,
+    ageExit_newTab_zoneId: null,
+  });
+  assert.deepEqual(cfg, { domain: "jup9.com" });
+});
+
+test("template settings pass through untouched", () => {
+  const cfg = normalizeConfig({ domain: "jup9.com", videoCount: 3, prizeName: "iPhone", prizeImg: "/p.png" });
+  assert.equal(cfg.videoCount, 3);
+  assert.equal(cfg.prizeName, "iPhone");
+  assert.equal(cfg.prizeImg, "/p.png");
+});
+
+test("paramMapping rules are kept globally and per exit, and their shape is validated", () => {
+  const rules = [{ from: ["var_1", "var"], to: "sub1" }];
+  const cfg = normalizeConfig({ domain: "jup9.com", mainExit_zoneId: 1, paramMapping: rules, mainExit_paramMapping: rules });
+  assert.deepEqual(cfg.paramMapping, rules);
+  assert.deepEqual(cfg.mainExit.paramMapping, rules);
+
+  const { errors } = validateConfig({
+    domain: "jup9.com",
+    mainExit_zoneId: 1,
+    paramMapping: [{ from: "s" }],
+    mainExit_paramMapping: [{ from: "s", to: "zoneid" }],
+    back_zoneId: 2,
+    back_paramMapping: [{ from: "s", to: "sub1", joinWith: 1 }],
+    reverse_zoneId: 3,
+    reverse_paramMapping: [{ from: ["s", "cid"], to: "sub1", pick: "last" }],
+  });
+  assert.deepEqual(errors.map(e => e.key), ["paramMapping", "mainExit_paramMapping", "back_paramMapping", "reverse_paramMapping"]);
+  assert.match(errors[1].message, /zoneid cannot be mapped/);
+});
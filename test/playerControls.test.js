@@ -0,0 +1,136 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadLanding, wait } from "./harness.js";
+import { validateConfig } from "../assets/scripts/configSchema.js";
+import { getEnabledControls } from "../assets/scripts/playerControls.js";
+import { setErrorReporter } from "../assets/scripts/errors.js";
+
+const CONFIG = {
+  domain: "https://exits.test",
+  mainExit_currentTab_zoneId: 101,
+  mainExit_newTab_zoneId: 102,
+  tabUnderClick_newTab_zoneId: 104,
+  back_zoneId: 106,
+};
+const CONTROLS = { ...CONFIG, playerControls: true };
+
+const pressed = (l, target) => l.$(`.action-btn[data-target=${target}]`).getAttribute("aria-pressed");
+
+// navigator.share / navigator.clipboard are not in jsdom
+const withNavigator = (props) => (w) => {
+  Object.entries(props).forEach(([k, value]) => Object.defineProperty(w.navigator, k, { value, configurable: true }));
+};
+
+test("without playerControls the icons stay hidden micro-handoff decoys", async () => {
+  const l = await loadLanding({ config: CONFIG });
+  assert.ok(l.$(".action-btn[data-target=play_pause]").hidden);
+  l.click(".action-btn[data-target=play_pause]");
+  await l.settle();
+  assert.equal(l.calls.open.length, 1);
+  assert.match(l.calls.open[0], /__cl=1/);
+  l.close();
+});
+
+test("pause and mute work the reel on screen instead of leaving", async () => {
+  const l = await loadLanding({ config: CONTROLS });
+  const v = l.$(".video-layer.active");
+  assert.equal(l.$(".action-btn[data-target=play_pause]").hidden, false);
+  assert.equal(pressed(l, "play_pause"), "false");
+
+  l.click(".action-btn[data-target=play_pause]");
+  await wait(20);
+  assert.equal(v.paused, true);
+  assert.equal(pressed(l, "play_pause"), "true");
+
+  l.click(".action-btn[data-target=play_pause]");
+  await wait(20);
+  assert.equal(v.paused, false);
+  assert.equal(pressed(l, "play_pause"), "false");
+
+  assert.equal(pressed(l, "mute_unmute"), "true");
+  l.click(".action-btn[data-target=mute_unmute]");
+  assert.ok([...l.window.document.querySelectorAll(".video-layer")].every(layer => !layer.muted));
+  assert.equal(pressed(l, "mute_unmute"), "false");
+
+  await l.settle();
+  assert.deepEqual(l.calls.open, []);
+  assert.deepEqual(l.calls.replace, []);
+  assert.equal(l.window.LANDING_REELS.stage(), 1, "a control click does not swipe either");
+  l.close();
+});
+
+test("fullscreen asks for the reels wrapper", async () => {
+  let asked = null;
+  const l = await loadLanding({
+    config: CONTROLS,
+    setup: (w) => { w.HTMLElement.prototype.requestFullscreen = function () { asked = this; return Promise.resolve(); }; },
+  });
+  l.click(".action-btn[data-target=fullscreen]");
+  assert.equal(asked, l.$(".reels-wrapper"));
+  l.close();
+});
+
+test("a refused fullscreen request or exit is captured, not left unhandled", async (t) => {
+  const seen = [];
+  setErrorReporter((entry) => seen.push(entry));
+  t.after(() => setErrorReporter());
+  const refuse = function () { return Promise.reject(new Error("denied")); };
+  const l = await loadLanding({
+    config: CONTROLS,
+    setup: (w) => {
+      w.HTMLElement.prototype.requestFullscreen = refuse;
+      w.document.exitFullscreen = refuse;
+    },
+  });
+  l.click(".action-btn[data-target=fullscreen]");
+  await wait(0);
+  Object.defineProperty(l.window.document, "fullscreenElement", { value: l.$(".reels-wrapper"), configurable: true });
+  l.click(".action-btn[data-target=fullscreen]");
+  await wait(0);
+
+  assert.deepEqual(seen.map(e => [e.code, e.level, e.source]), [
+    ["FULLSCREEN_FAILED", "warn", "controls"],
+    ["FULLSCREEN_FAILED", "warn", "controls"],
+  ]);
+  assert.match(seen[0].message, /denied/);
+  l.close();
+});
+
+test("share uses navigator.share with a link free of service params", async () => {
+  const shared = [];
+  const l = await loadLanding({
+    config: CONTROLS,
+    query: "?s=abc&__cl=1&__fast=1",
+    setup: withNavigator({ share: async (data) => { shared.push(data); } }),
+  });
+  l.click(".action-btn[data-target=share]");
+  await l.settle();
+  assert.equal(shared.length, 1);
+  assert.equal(shared[0].url, "https://landing.test/index.html?s=abc");
+  assert.deepEqual(l.calls.open, [], "the clone's any-click exit skips enabled controls");
+  assert.deepEqual(l.calls.replace, []);
+  l.close();
+});
+
+test("share falls back to the clipboard and shows the toast", async () => {
+  const copied = [];
+  const l = await loadLanding({
+    config: { ...CONFIG, playerControls: ["share"] },
+    setup: withNavigator({ clipboard: { writeText: async (text) => { copied.push(text); } } }),
+  });
+  assert.ok(l.$(".action-btn[data-target=play_pause]").hidden, "only the listed targets are taken over");
+  l.click(".action-btn[data-target=share]");
+  await wait(20);
+  assert.deepEqual(copied, ["https://landing.test/index.html"]);
+  assert.equal(l.$("#ui-toast").hidden, false);
+  assert.equal(l.$("#ui-toast").textContent, "Link copied");
+  l.close();
+});
+
+test("playerControls is validated against the known targets", () => {
+  assert.deepEqual(validateConfig({ ...CONFIG, playerControls: ["share", "mute_unmute"] }).errors, []);
+  assert.deepEqual(validateConfig({ ...CONFIG, playerControls: false }).errors, []);
+  const { errors } = validateConfig({ ...CONFIG, playerControls: ["share", "like"] });
+  assert.deepEqual(errors.map(e => [e.code, e.key]), [["VALUE_INVALID", "playerControls"]]);
+  assert.deepEqual(getEnabledControls({ playerControls: ["share", "like", "play_pause"] }), ["play_pause", "share"]);
+});
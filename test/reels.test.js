@@ -0,0 +1,230 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadLanding, zonesOf, wait } from "./harness.js";
+import { normalizeManifest } from "../assets/scripts/reels.js";
+
+const CONFIG = {
+  domain: "https://exits.test",
+  mainExit_currentTab_zoneId: 101,
+  mainExit_newTab_zoneId: 102,
+  back_zoneId: 106,
+};
+
+const SWAP = 450;
+const FOLDER = "https://landing.test/assets/videos/lend7/";
+
+const srcOf = (l, sel) => new URL(l.$(`${sel} source`).src).pathname;
+
+// serve a custom manifest for lend7
+const withManifest = (manifest) => (w) => {
+  const serve = w.fetch;
+  w.fetch = async (url) => (String(url).includes("/lend7/")
+    ? { ok: true, status: 200, json: async () => manifest }
+    : serve(url));
+};
+
+test("lend1: three clips, three stages, then the exit", async () => {
+  const l = await loadLanding({ config: CONFIG });
+  const reels = l.window.LANDING_REELS;
+  assert.equal(reels.count(), 3);
+  assert.equal(l.$("#ui-username").textContent, "@Sweet_Alice");
+  assert.equal(srcOf(l, "#v2"), "/assets/videos/lend1/reels-2.mp4");
+
+  l.click("#ui-desc");
+  await wait(SWAP + 20);
+  assert.equal(reels.stage(), 2);
+  assert.ok(l.$("#v2").classList.contains("active"));
+  assert.equal(l.$("#ui-username").textContent, "@Naughty_Kate");
+  assert.equal(srcOf(l, "#v1"), "/assets/videos/lend1/reels-3.mp4");
+  assert.equal(l.$("#click-hint").style.display, "none");
+
+  l.click("#ui-desc");
+  await wait(SWAP + 20);
+  assert.equal(reels.stage(), 3);
+  assert.ok(l.$("#v1").classList.contains("active"));
+  assert.equal(l.$("#ui-username").textContent, "@Lily_Rose");
+  assert.equal(l.$("#click-hint").style.display, "flex");
+  assert.deepEqual(l.calls.open, []);
+  assert.deepEqual(l.calls.replace, []);
+
+  l.click("#ui-desc");
+  await l.settle();
+  assert.deepEqual(zonesOf(l.calls.open), ["102"]);
+  assert.deepEqual(zonesOf(l.calls.replace), ["101"]);
+  l.close();
+});
+
+test("cloneStartStage picks the stage a clone opens on", async () => {
+  const l = await loadLanding({
+    config: CONFIG,
+    query: "?v=7&__cl=1",
+    setup: withManifest({
+      cloneStartStage: 2,
+      reels: [{ src: "a.mp4" }, { src: "b.mp4", overlay: { user: "@b" } }, { src: "c.mp4" }],
+    }),
+  });
+  assert.equal(l.window.LANDING_REELS.stage(), 2);
+  assert.equal(srcOf(l, "#v2"), "/assets/videos/lend7/b.mp4");
+  assert.equal(srcOf(l, "#v1"), "/assets/videos/lend7/c.mp4");
+  assert.equal(l.$("#ui-username").textContent, "@b");
+  l.close();
+});
+
+test("captions are text, one line per \\n", async () => {
+  const l = await loadLanding({
+    config: CONFIG,
+    query: "?v=7",
+    setup: withManifest({ reels: [{ src: "a.mp4", caption: "<img src=x onerror=alert(1)>\nsecond" }, { src: "b.mp4" }] }),
+  });
+  const desc = l.$("#ui-desc");
+  assert.equal(desc.querySelector("img"), null);
+  assert.equal(desc.querySelectorAll("br").length, 1);
+  assert.equal(desc.textContent, "<img src=x onerror=alert(1)>second");
+  l.close();
+});
+
+test("a folder without a manifest falls back to the default offer", async () => {
+  const l = await loadLanding({ config: { ...CONFIG, defaultOffer: 2 }, query: "?v=99" });
+  assert.equal(l.window.LANDING_REELS.count(), 2);
+  assert.equal(srcOf(l, "#v1"), "/assets/videos/lend2/reels-1.mp4");
+  assert.ok(l.window.LANDING_EXITS.diagnostics().some(e => e.code === "MANIFEST_MISSING"));
+  l.close();
+});
+
+test("with no manifest anywhere reels-1 / reels-2 of the default offer play", async () => {
+  const l = await loadLanding({ config: { ...CONFIG, defaultOffer: 98 }, query: "?v=99" });
+  assert.equal(l.window.LANDING_REELS.count(), 2);
+  assert.equal(srcOf(l, "#v2"), "/assets/videos/lend98/reels-2.mp4");
+  l.close();
+});
+
+test("normalizeManifest resolves paths, drops clips without a source and clamps cloneStartStage", () => {
+  const m = normalizeManifest({
+    cloneStartStage: 9,
+    reels: [{ src: "a.mp4", poster: "a.jpg" }, { caption: "no src" }, { src: "/cdn/b.mp4" }],
+  }, FOLDER);
+  assert.deepEqual(m.reels.map(r => r.sources[0].src), [`${FOLDER}a.mp4`, "https://landing.test/cdn/b.mp4"]);
+  assert.equal(m.reels[0].poster, `${FOLDER}a.jpg`);
+  assert.equal(m.reels[0].fallback, null);
+  assert.equal(m.cloneStartStage, 2);
+  assert.equal(normalizeManifest({ cloneStartStage: 0, reels: [{ src: "a" }, { src: "b" }] }, FOLDER).cloneStartStage, 2);
+  assert.equal(normalizeManifest({ reels: [] }, FOLDER), null);
+});
+
+// ---------------------------
+// Keyboard / screen readers
+// ---------------------------
+const key = (l, k, target = l.window.document.body) =>
+  target.dispatchEvent(new l.window.KeyboardEvent("keydown", { key: k, bubbles: true, cancelable: true }));
+
+test("every control is a button with an accessible name; icons are hidden", async () => {
+  const l = await loadLanding({ config: CONFIG });
+  const controls = [...l.window.document.querySelectorAll(".reels-wrapper [data-target], .next-btn")];
+  assert.ok(controls.length >= 7);
+  controls.forEach(el => {
+    assert.equal(el.tagName, "BUTTON", el.outerHTML.slice(0, 60));
+    assert.equal(el.type, "button");
+    const name = el.getAttribute("aria-label") || el.textContent.trim();
+    assert.ok(name, `no accessible name: ${el.outerHTML.slice(0, 60)}`);
+  });
+  l.window.document.querySelectorAll(".reels-wrapper svg").forEach(svg => assert.equal(svg.getAttribute("aria-hidden"), "true"));
+  assert.equal(l.$("#v1").getAttribute("aria-hidden"), "true");
+  assert.equal(l.$(".bottom-info").getAttribute("aria-live"), "polite");
+  l.close();
+});
+
+test("arrow keys move between stages and the caption region follows", async () => {
+  const l = await loadLanding({ config: CONFIG });
+  const reels = l.window.LANDING_REELS;
+  await wait(20);
+  assert.equal(l.$("#ui-status").textContent, "Video 1 of 3");
+
+  key(l, "ArrowDown");
+  await wait(SWAP + 20);
+  assert.equal(reels.stage(), 2);
+  assert.equal(l.$("#ui-status").textContent, "Video 2 of 3");
+  assert.equal(l.$("#ui-username").textContent, "@Naughty_Kate");
+
+  key(l, "ArrowUp");
+  await wait(SWAP + 20);
+  assert.equal(reels.stage(), 1);
+  assert.ok(l.$("#v1").classList.contains("active"));
+  assert.equal(srcOf(l, "#v1"), "/assets/videos/lend1/reels-1.mp4");
+  assert.equal(srcOf(l, "#v2"), "/assets/videos/lend1/reels-2.mp4");
+  assert.equal(l.$("#ui-username").textContent, "@Sweet_Alice");
+  l.close();
+});
+
+test("on the exit stage arrow keys never exit; the focused exit button does", async () => {
+  const l = await loadLanding({ config: CONFIG, query: "?__cl=1" });
+  assert.equal(l.window.LANDING_REELS.stage(), 3);
+
+  key(l, "ArrowDown");
+  key(l, "PageDown");
+  await l.settle();
+  assert.deepEqual(l.calls.open, []);
+  assert.deepEqual(l.calls.replace, []);
+
+  // Enter / Space on a focused <button> is a click
+  l.$("#next-btn-s2").focus();
+  l.click(l.window.document.activeElement);
+  await l.settle();
+  assert.deepEqual(zonesOf(l.calls.replace), ["101"]);
+  l.close();
+});
+
+test("focus moves to the exit button when the next button disappears", async () => {
+  const l = await loadLanding({ config: CONFIG });
+  l.$("#next-btn").focus();
+  l.click("#next-btn");
+  await wait(SWAP + 20);
+  l.click("#next-btn");
+  await wait(SWAP + 20);
+  assert.equal(l.window.LANDING_REELS.stage(), 3);
+  assert.equal(l.window.document.activeElement.id, "next-btn-s2");
+  l.close();
+});
+
+test("rtl swaps the horizontal keys; keys are ignored behind the age gate", async () => {
+  const l = await loadLanding({ config: CONFIG });
+  l.window.document.documentElement.setAttribute("dir", "rtl");
+  key(l, "ArrowRight");
+  await wait(SWAP + 20);
+  assert.equal(l.window.LANDING_REELS.stage(), 1);
+  key(l, "ArrowLeft");
+  await wait(SWAP + 20);
+  assert.equal(l.window.LANDING_REELS.stage(), 2);
+  l.close();
+
+  const gated = await loadLanding({ config: { ...CONFIG, ageGate: true } });
+  key(gated, "ArrowDown");
+  await wait(SWAP + 20);
+  assert.equal(gated.window.LANDING_REELS.stage(), 1);
+  gated.close();
+});
+
+test("prefers-reduced-motion turns off the swipe vibration and shake", async () => {
+  const run = async (reduce) => {
+    const vibrations = [];
+    const l = await loadLanding({
+      config: CONFIG,
+      setup: (w) => {
+        w.matchMedia = (q) => ({ matches: reduce && q.includes("reduce"), media: q, addEventListener() {}, removeEventListener() {} });
+        w.navigator.vibrate = (ms) => { vibrations.push(ms); return true; };
+      },
+    });
+    const touch = (type, y) => {
+      const ev = new l.window.Event(type, { bubbles: true });
+      ev.changedTouches = [{ screenX: 0, screenY: y }];
+      l.$(".reels-wrapper").dispatchEvent(ev);
+    };
+    touch("touchstart", 300);
+    touch("touchend", 100);
+    const shaken = l.$("#next-btn").classList.contains("shake");
+    l.close();
+    return { vibrations, shaken };
+  };
+
+  assert.deepEqual(await run(false), { vibrations: [40], shaken: true });
+  assert.deepEqual(await run(true), { vibrations: [], shaken: false });
+});
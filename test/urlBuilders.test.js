@@ -0,0 +1,217 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createDom } from "./harness.js";
+import {
+  buildExitQSFast, generateAfuUrlFast, buildDirectUrlWithTracking, resolveUrlFast, buildBackUrl, normalizeConfig,
+} from "../assets/scripts/exits.js";
+import { initConsent } from "../assets/scripts/consent.js";
+import { buildAllowlist, resolveBackTarget } from "../assets/scripts/redirectGuard.js";
+
+let env;
+const at = (query, appConfig) => {
+  env = createDom({ query });
+  if (appConfig) env.window.APP_CONFIG = appConfig;
+  initConsent({});
+  return env;
+};
+
+afterEach(() => env?.window.close());
+
+test("ymid/var fall back on empty values, not only on missing ones", () => {
+  at("?var_1=&var=Y1&var_2=&z=Z1");
+  const qs = buildExitQSFast({ zoneId: 10 });
+  assert.equal(qs.get("ymid"), "Y1");
+  assert.equal(qs.get("var"), "Z1");
+  assert.equal(qs.get("zoneid"), "10");
+});
+
+test("landing params map onto afu.php names", () => {
+  at("?var_1=Y&var_2=V&var_3=V3&s=CLICK&b=0.5&campaignid=C&pz=P&tb=T&tb_reverse=TR&ae=A");
+  const qs = buildExitQSFast({ zoneId: 10 });
+  assert.equal(qs.get("ymid"), "Y");
+  assert.equal(qs.get("var"), "V");
+  assert.equal(qs.get("var_3"), "V3");
+  assert.equal(qs.get("click_id"), "CLICK");
+  assert.equal(qs.get("b"), "0.5");
+  assert.equal(qs.get("campaignid"), "C");
+  assert.equal(qs.get("rhd"), "1");
+  assert.equal(qs.get("pz"), "P");
+  assert.equal(qs.get("tb"), "T");
+  assert.equal(qs.get("tb_reverse"), "TR");
+  assert.equal(qs.get("ae"), "A");
+  assert.ok(qs.get("cmeta"));
+  assert.ok(qs.has("bto"));
+});
+
+test("external_id / creative_id / ad_campaign_id / cost pass through", () => {
+  at("?external_id=E&creative_id=CR&ad_campaign_id=AC&cost=0.01");
+  const qs = buildExitQSFast({ zoneId: 10 });
+  assert.equal(qs.get("external_id"), "E");
+  assert.equal(qs.get("creative_id"), "CR");
+  assert.equal(qs.get("ad_campaign_id"), "AC");
+  assert.equal(qs.get("cost"), "0.01");
+});
+
+test("ab2r prefers ?abtest over APP_CONFIG.abtest", () => {
+  at("", { domain: "jup9.com", abtest: 7 });
+  assert.equal(buildExitQSFast().get("ab2r"), "7");
+  env.window.close();
+  at("?abtest=9", { domain: "jup9.com", abtest: 7 });
+  assert.equal(buildExitQSFast().get("ab2r"), "9");
+});
+
+test("afu.php URL keeps values encoded", () => {
+  at("?s=a%26b%3Dc&var_1=x%20y");
+  const url = new URL(generateAfuUrlFast(10, "jup9.com/"));
+  assert.equal(url.origin + url.pathname, "https://jup9.com/afu.php");
+  assert.equal(url.searchParams.get("click_id"), "a&b=c");
+  assert.equal(url.searchParams.get("ymid"), "x y");
+  assert.equal(generateAfuUrlFast(10, ""), "");
+});
+
+test("direct URLs keep their own params and gain missing landing params", () => {
+  at("?s=CLICK&geo=de&cid=1");
+  const url = new URL(buildDirectUrlWithTracking("https://offer.test/lp?geo=us"));
+  assert.equal(url.searchParams.get("geo"), "us");
+  assert.equal(url.searchParams.get("s"), "CLICK");
+  assert.equal(url.searchParams.get("cid"), "1");
+  assert.equal(url.searchParams.get("currency"), "usd");
+});
+
+test("direct URLs enforce tracking fields over the target's own", () => {
+  at("?external_id=E&creative_id=CR&var_2=V2&b=0.2");
+  const url = new URL(buildDirectUrlWithTracking("https://offer.test/lp?external_id=old&currency=eur"));
+  assert.equal(url.searchParams.get("external_id"), "E");
+  assert.equal(url.searchParams.get("creative_id"), "CR");
+  assert.equal(url.searchParams.get("ad_campaign_id"), "V2");
+  assert.equal(url.searchParams.get("cost"), "0.2");
+  assert.equal(url.searchParams.get("currency"), "eur");
+});
+
+test("resolveUrlFast prefers url over zoneId and uses the config domain", () => {
+  at("");
+  const cfg = { domain: "jup9.com" };
+  assert.match(resolveUrlFast({ url: "https://offer.test/", zoneId: 1 }, cfg), /^https:\/\/offer\.test\//);
+  assert.match(resolveUrlFast({ zoneId: 1 }, cfg), /^https:\/\/jup9\.com\/afu\.php\?/);
+  assert.equal(resolveUrlFast(undefined, cfg), "");
+  assert.equal(resolveUrlFast({}, cfg), "");
+});
+
+test("back URL points at back.html next to the landing", () => {
+  env = createDom({ path: "/offers/reels/index.html", query: "?var_1=Y" });
+  initConsent({});
+  const cfg = normalizeConfig({ domain: "jup9.com", back_zoneId: 6 });
+  const url = new URL(buildBackUrl(cfg));
+  assert.equal(url.pathname, "/offers/reels/back.html");
+  assert.equal(url.searchParams.get("z"), "6");
+  assert.equal(url.searchParams.get("domain"), "jup9.com");
+  assert.equal(url.searchParams.get("ymid"), "Y");
+
+  const direct = new URL(buildBackUrl(normalizeConfig({ domain: "jup9.com", back_url: "https://offer.test/" })));
+  assert.equal(direct.searchParams.get("url"), "https://offer.test/");
+  assert.equal(direct.searchParams.get("z"), null);
+});
+
+test("paramMapping: global rules override built-in fields, exit rules override global ones", () => {
+  at("?s=CLICK&cid=C1&geo=de&var_1=Y");
+  const cfg = normalizeConfig({
+    domain: "jup9.com",
+    mainExit_zoneId: 1,
+    ageExit_zoneId: 2,
+    paramMapping: [{ from: "cid", to: "click_id" }, { from: "geo", to: "sub1" }],
+    mainExit_paramMapping: [{ from: "geo", to: ["click_id", "sub2"] }],
+  });
+
+  const main = new URL(resolveUrlFast(cfg.mainExit.currentTab, cfg, "mainExit")).searchParams;
+  assert.equal(main.get("click_id"), "de");
+  assert.equal(main.get("sub1"), "de");
+  assert.equal(main.get("sub2"), "de");
+  assert.equal(main.get("ymid"), "Y");
+  assert.equal(main.get("zoneid"), "1");
+
+  const age = new URL(resolveUrlFast(cfg.ageExit.currentTab, cfg, "ageExit")).searchParams;
+  assert.equal(age.get("click_id"), "C1");
+  assert.equal(age.get("sub2"), null);
+});
+
+test("paramMapping: sources join (joinWith, \"\" by default) or pick the first, empty ones change nothing", () => {
+  at("?var_1=&var=Y1&cid=C1&geo=de");
+  const qs = buildExitQSFast({
+    zoneId: 10,
+    mapping: [
+      { from: ["var_1", "var"], to: "sub1" },
+      { from: ["cid", "missing", "geo"], to: "sub2", joinWith: "_" },
+      { from: ["cid", "geo"], to: "sub3" },
+      { from: ["var_1", "geo", "cid"], to: "sub4", pick: "first" },
+      { from: "missing", to: "ymid" },
+      { from: "cid", to: "zoneid" },
+    ],
+  });
+  assert.equal(qs.get("sub1"), "Y1");
+  assert.equal(qs.get("sub2"), "C1_de");
+  assert.equal(qs.get("sub3"), "C1de", "the baseline passParamToParams join");
+  assert.equal(qs.get("sub4"), "de");
+  assert.equal(qs.get("ymid"), "Y1");
+  assert.equal(qs.get("zoneid"), "10");
+});
+
+test("paramMapping on a direct URL wins over the target's own params and the passthrough", () => {
+  at("?cid=C1&external_id=E");
+  const cfg = normalizeConfig({
+    domain: "jup9.com",
+    tabUnderClick_url: "https://offer.test/lp?sub1=fixed",
+    tabUnderClick_paramMapping: [{ from: "cid", to: ["sub1", "external_id"] }],
+  });
+  const url = new URL(resolveUrlFast(cfg.tabUnderClick.newTab, cfg, "tabUnderClick"));
+  assert.equal(url.searchParams.get("sub1"), "C1");
+  assert.equal(url.searchParams.get("external_id"), "C1");
+  assert.equal(url.searchParams.get("cid"), "C1");
+});
+
+test("paramMapping for back reaches the final redirect of a zone target", () => {
+  at("?cid=C1");
+  const cfg = normalizeConfig({
+    domain: "jup9.com",
+    back_zoneId: 6,
+    paramMapping: [{ from: "cid", to: "sub1" }],
+    back_paramMapping: [{ from: "cid", to: "sub3" }],
+  });
+  const { url } = resolveBackTarget(buildBackUrl(cfg), buildAllowlist(cfg));
+  const final = new URL(url);
+  assert.equal(`${final.origin}${final.pathname}`, "https://jup9.com/afu.php");
+  assert.equal(final.searchParams.get("zoneid"), "6");
+  assert.equal(final.searchParams.get("sub1"), "C1");
+  assert.equal(final.searchParams.get("sub3"), "C1");
+});
+
+test("paramMapping for back wins over a url target's own params on back.html", () => {
+  at("?cid=C1&geo=us");
+  const cfg = normalizeConfig({
+    domain: "jup9.com",
+    back_url: "https://offer.test/lp?sub1=fixed&geo=de",
+    back_paramMapping: [{ from: "cid", to: "sub1" }],
+  });
+  const { url } = resolveBackTarget(buildBackUrl(cfg), buildAllowlist(cfg));
+  const final = new URL(url);
+  assert.equal(final.searchParams.get("sub1"), "C1");
+  assert.equal(final.searchParams.get("geo"), "de", "unmapped landing params only fill gaps");
+  assert.equal(final.searchParams.has("__mapped"), false);
+});
+
+test("paramMapping reaches the push SDK request, but not its own z / sw / d", async () => {
+  at("?cid=C1&var_2=V", {
+    domain: "jup9.com",
+    consent: "off",
+    push_zoneId: 7,
+    paramMapping: [{ from: "cid", to: "sub1" }],
+    push_paramMapping: [{ from: "cid", to: ["var_2", "z"] }],
+  });
+  await import(`../assets/scripts/pushScript.js?case=${Date.now()}`);
+
+  const src = env.window.document.querySelector("script[src*='/hid.js']")?.src;
+  const qs = new URL(src).searchParams;
+  assert.equal(qs.get("sub1"), "C1");
+  assert.equal(qs.get("var_2"), "C1", "mapping wins over the built-in var_2");
+  assert.equal(qs.get("z"), "7");
+  assert.equal(qs.get("zoneid"), "7");
+});
@@ -0,0 +1,144 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createDom, loadLanding, wait } from "./harness.js";
+import { loadClip, playClip, getVideoState, toSource, VIDEO_STATE_EVENT } from "../assets/scripts/videoLoader.js";
+import { getEntries } from "../assets/scripts/diagnostics.js";
+
+const CLIP = {
+  sources: [toSource("https://landing.test/lend4/a.webm"), toSource("https://landing.test/lend4/a.mp4")],
+  poster: "https://landing.test/lend4/a.jpg",
+  fallback: { sources: [toSource("https://landing.test/lend1/a.mp4")], poster: "" },
+};
+
+let env;
+const video = () => {
+  env = createDom({ html: `<!DOCTYPE html><body><video id="v"></video><button class="xh-main-play-trigger"></button></body>` });
+  return env.window.document.getElementById("v");
+};
+const sources = (v) => [...v.querySelectorAll("source")].map(s => [s.src, s.type]);
+const failLast = (v) => [...v.querySelectorAll("source")].at(-1).dispatchEvent(new env.window.Event("error"));
+const codes = () => getEntries().filter(e => e.source === "video").map(e => e.code);
+
+afterEach(() => env?.window.close());
+
+test("one <source> per format, in order, with the poster up while loading", () => {
+  const v = video();
+  loadClip(v, CLIP);
+  assert.deepEqual(sources(v), [
+    ["https://landing.test/lend4/a.webm", "video/webm"],
+    ["https://landing.test/lend4/a.mp4", "video/mp4"],
+  ]);
+  assert.equal(v.getAttribute("poster"), CLIP.poster);
+  assert.equal(getVideoState(v), "loading");
+});
+
+test("all sources failing switches to the default offer folder, then to failed", () => {
+  const v = video();
+  const states = [];
+  v.addEventListener(VIDEO_STATE_EVENT, (e) => states.push(e.detail.state));
+  loadClip(v, CLIP);
+
+  failLast(v);
+  assert.deepEqual(sources(v), [["https://landing.test/lend1/a.mp4", "video/mp4"]]);
+  assert.equal(getVideoState(v), "loading");
+
+  failLast(v);
+  assert.equal(getVideoState(v), "failed");
+  assert.deepEqual(states, ["loading", "failed"]);
+  assert.deepEqual(codes(), ["VIDEO_FALLBACK", "VIDEO_FAILED"]);
+});
+
+test("a decode error on the element falls back too, and playback resumes", async () => {
+  const v = video();
+  loadClip(v, CLIP);
+  await playClip(v);
+  assert.equal(getVideoState(v), "playing");
+
+  v.dispatchEvent(new env.window.Event("error"));
+  assert.deepEqual(sources(v), [["https://landing.test/lend1/a.mp4", "video/mp4"]]);
+  await wait();
+  assert.equal(getVideoState(v), "playing");
+});
+
+test("errors from a replaced clip are ignored", () => {
+  const v = video();
+  loadClip(v, CLIP);
+  const stale = v.querySelector("source:last-child");
+  loadClip(v, { sources: [toSource("https://landing.test/lend4/b.mp4")] });
+  stale.dispatchEvent(new env.window.Event("error"));
+  assert.equal(getVideoState(v), "loading");
+  assert.deepEqual(codes(), []);
+});
+
+test("the play trigger is .ready only while the clip really plays", async () => {
+  const v = video();
+  const trigger = env.window.document.querySelector(".xh-main-play-trigger");
+  loadClip(v, CLIP);
+  assert.equal(trigger.classList.contains("ready"), false);
+
+  await playClip(v);
+  assert.equal(trigger.classList.contains("ready"), true);
+
+  v.dispatchEvent(new env.window.Event("pause"));
+  assert.equal(getVideoState(v), "paused");
+  assert.equal(trigger.classList.contains("ready"), false);
+});
+
+test("a blocked play() is reported and retried on the next tap", async () => {
+  const v = video();
+  let attempts = 0;
+  v.play = () => {
+    attempts++;
+    if (attempts === 1) return Promise.reject(Object.assign(new Error("blocked"), { name: "NotAllowedError" }));
+    v.dispatchEvent(new env.window.Event("playing"));
+    return Promise.resolve();
+  };
+  loadClip(v, CLIP);
+
+  assert.equal(await playClip(v), false);
+  assert.deepEqual(codes(), ["PLAY_BLOCKED"]);
+  assert.equal(getVideoState(v), "loading");
+
+  env.window.dispatchEvent(new env.window.Event("pointerdown"));
+  await wait();
+  assert.equal(attempts, 2);
+  assert.equal(getVideoState(v), "playing");
+});
+
+test("the retry after a blocked play() starts the clip requested last, not the one left behind", async () => {
+  env = createDom({ html: `<!DOCTYPE html><body><video id="a"></video><video id="b"></video></body>` });
+  const [a, b] = ["a", "b"].map(id => env.window.document.getElementById(id));
+  const attempts = { a: 0, b: 0 };
+  [a, b].forEach(v => {
+    v.play = () => {
+      if (++attempts[v.id] === 1) return Promise.reject(Object.assign(new Error("blocked"), { name: "NotAllowedError" }));
+      v.dispatchEvent(new env.window.Event("playing"));
+      return Promise.resolve();
+    };
+    loadClip(v, CLIP);
+  });
+
+  await playClip(a);
+  await playClip(b); // the reel moved on while autoplay was still blocked
+  env.window.dispatchEvent(new env.window.Event("pointerdown"));
+  await wait();
+
+  assert.deepEqual(attempts, { a: 1, b: 2 });
+  assert.equal(getVideoState(b), "playing");
+  assert.equal(getVideoState(a), "loading");
+});
+
+test("landing: isPlayerReady follows the reel on screen", async () => {
+  const l = await loadLanding({ config: { domain: "https://exits.test" } });
+  assert.equal(l.window.LANDING_REELS.state(), "playing");
+  assert.equal(l.window.LANDING_EXITS.isPlayerReady(), true);
+  l.close();
+});
+
+test("landing: an offer folder whose clips fail plays the default offer's", async () => {
+  const l = await loadLanding({ config: { domain: "https://exits.test" }, query: "?v=4" });
+  const v1 = l.$("#v1");
+  v1.querySelector("source:last-child").dispatchEvent(new l.window.Event("error"));
+  assert.equal(new URL(v1.querySelector("source").src).pathname, "/assets/videos/lend1/reels-1.mp4");
+  l.close();
+});